@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Command-line interface that seeds a database with the data in the fixture files.
+ *
+ *     mongoose-seeder --uri mongodb://localhost/app --models models/ fixtures/
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var fs = require('fs'),
+    path = require('path'),
+    glob = require('glob'),
+    minimist = require('minimist'),
+    _ = require('lodash'),
+    seeder = require('../index.js');
+
+var USAGE = [
+    'Usage: mongoose-seeder --uri <uri> --models <path> [options] <files...>',
+    '',
+    'Options:',
+    '  --uri               The connection URI of the database',
+    '  --models            The file, directory or glob pattern of the models to register',
+    '  --drop-database     Drop the database before seeding (default)',
+    '  --no-drop-database  Do not drop the database before seeding',
+    '  --drop-collections  Only drop the collections that are being seeded',
+    '  --sync-indexes      Create the collections and build their indexes before seeding',
+    '  --strict            Fail if an expression could not be evaluated',
+    '  --no-expressions    Fail if the data contains an expression or a dependency',
+    '  --timeout           The number of milliseconds an expression may take',
+    '  --dry-run           Only check the seed data, without touching the database',
+    '  --only              Only seed these collections or documents, separated by commas',
+    '  --except            Do not seed these collections or documents, separated by commas',
+    '  --profile           Apply these profiles, separated by commas (default: NODE_ENV)',
+    '  --help              Show this message'
+].join('\n');
+
+var argv = minimist(process.argv.slice(2), {
+    string: ['uri', 'models', 'only', 'except', 'profile'],
+    boolean: ['drop-database', 'drop-collections', 'sync-indexes', 'strict', 'expressions', 'dry-run', 'help'],
+    default: {
+        'drop-database': true,
+        'expressions': true
+    }
+});
+
+/**
+ * Prints the message and stops the process with a non-zero exit code.
+ *
+ * @param  {String} message The message that should be printed.
+ */
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+/**
+ * Requires the mongoose module of the project that is seeded, so that the models register
+ * themselves with the same instance the seeder uses.
+ *
+ * @return {Mongoose} The mongoose instance.
+ */
+function requireMongoose() {
+    try {
+        return require(require.resolve('mongoose', {paths: [process.cwd()]}));
+    }
+    catch(e) {
+        return require('mongoose');
+    }
+}
+
+/**
+ * Requires all the model files that match the path provided.
+ *
+ * @param  {String} pattern The file, directory or glob pattern of the models.
+ */
+function registerModels(pattern) {
+    if(fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+        pattern = path.join(pattern, '**', '*.js');
+    }
+
+    _.forEach(glob.sync(pattern, {nodir: true, absolute: true}), function(file) {
+        require(file);
+    });
+}
+
+if(argv.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if(!argv.uri || !argv.models || argv._.length === 0) {
+    fail(USAGE);
+}
+
+var mongoose = requireMongoose();
+
+try {
+    registerModels(argv.models);
+}
+catch(err) {
+    fail(err.message);
+}
+
+mongoose.connect(argv.uri, function(err) {
+    if(err) {
+        return fail(err.message);
+    }
+
+    var options = {
+        dropDatabase: argv['drop-database'],
+        dropCollections: argv['drop-collections'],
+        syncIndexes: argv['sync-indexes'],
+        strictExpressions: argv.strict,
+        expressions: argv.expressions && {timeout: argv.timeout ? Number(argv.timeout) : undefined},
+        dryRun: argv['dry-run'],
+        only: argv.only ? argv.only.split(',') : undefined,
+        except: argv.except ? argv.except.split(',') : undefined,
+        profile: argv.profile ? argv.profile.split(',') : undefined
+    };
+
+    seeder.createSeeder({connection: mongoose.connection}).seedFiles(argv._, options).then(function(result) {
+        _.forEach(result, function(documents, collection) {
+            console.log(collection + ': ' + Object.keys(documents).length + ' document(s) created');
+        });
+
+        if(argv['dry-run']) {
+            console.log('The seed data is valid.');
+        }
+
+        _.forEach(result._warnings, function(warning) {
+            console.error('Warning: could not evaluate expression \'' + warning.expression + '\' of \'' + warning.collection + '.' + warning.document + '.' + warning.path + '\': ' + warning.message);
+        });
+
+        mongoose.disconnect();
+    }).catch(function(err) {
+        console.error(err.message);
+
+        mongoose.disconnect(function() {
+            process.exit(1);
+        });
+    });
+});
@@ -9,128 +9,2081 @@
  */
 
 // module dependencies
-var vm = require('vm'),
+var path = require('path'),
     mongoose = require('mongoose'),
     async = require('async'),
     _ = require('lodash'),
-    Q = require('q'),
-    objectAssign = require('object-assign');
+    objectAssign = require('object-assign'),
+    loadFiles = require('./lib/files'),
+    createFake = require('./lib/fake'),
+    createSandbox = require('./lib/sandbox'),
+    exportData = require('./lib/export'),
+    applyProfiles = require('./lib/profiles'),
+    parseExtendedJSON = require('./lib/extended-json');
 
-module.exports = (function() {
+// The default options
+var DEFAULT_OPTIONS = {
+    dropDatabase: true,
+    dropCollections: false,
+    transaction: false,
+    bulk: false,
+    strictExpressions: false,
+    expressions: true,
+    syncIndexes: false,
+    dryRun: false
+};
 
-    // The default options
-    var DEFAULT_OPTIONS = {
-        dropDatabase: true,
-        dropCollections: false
-    };
+// Marks a reference to a document that is not created yet
+var DEFERRED = {};
+
+/**
+ * Parses a reference into its segments. A segment is a property (`.name`), all the items of a
+ * collection or array (`.*`) or the items of which a field has a specific value (`[field=value]`).
+ *
+ *     users.foo.email                 => key users, key foo, key email
+ *     users[email=foo@bar.com]        => key users, match email=foo@bar.com
+ *     users.*[name=Bar].email         => key users, all, match name=Bar, key email
+ *
+ * @param  {String} ref The reference without the leading arrow.
+ * @return {Array}      The list of segments.
+ */
+function parseReference(ref) {
+    var segments = [],
+        name = '';
+
+    function push() {
+        if(name === '*') {
+            segments.push({type: 'all'});
+        }
+        else if(name !== '') {
+            segments.push({type: 'key', key: name});
+        }
+
+        name = '';
+    }
+
+    for(var i = 0; i < ref.length; i++) {
+        var c = ref.charAt(i);
+
+        if(c === '.') {
+            push();
+        }
+        else if(c === '[') {
+            push();
+
+            var end = ref.indexOf(']', i),
+                body = ref.substring(i + 1, end),
+                index = body.indexOf('=');
+
+            if(end === -1 || index <= 0) {
+                throw new TypeError('Could not parse reference \'->' + ref + '\': expected [field=value] at position ' + i);
+            }
+
+            segments.push({type: 'match', field: body.substr(0, index), value: body.substr(index + 1)});
+
+            i = end;
+        }
+        else {
+            name += c;
+        }
+    }
+
+    push();
+
+    if(segments.length === 0 || segments[0].type !== 'key') {
+        throw new TypeError('Could not parse reference \'->' + ref + '\': it should start with the name of a collection');
+    }
+
+    return segments;
+}
+
+/**
+ * Tests if the reference points to the document that is being created, like `self` or `self._id`.
+ *
+ * @param  {String}  ref The reference without the leading arrow.
+ * @return {Boolean}     True if the reference points to the document itself.
+ */
+function isSelfReference(ref) {
+    return ref === 'self' || ref.indexOf('self.') === 0;
+}
+
+/**
+ * Removes the `_name` property of the items in the arrays of the value and remembers the position of
+ * every named item, so that a reference like `->teams.teamA.members.lead` can find the item.
+ *
+ * @param  {*}      value The value of which the items should be named.
+ * @param  {Array}  path  The path of the value in the document, with the position of every array item.
+ * @param  {Object} names The object that holds the position of every named item by its path.
+ * @return {*}            The value without the `_name` properties.
+ */
+function nameItems(value, path, names) {
+    if(_.isArray(value)) {
+        return _.map(value, function(item, index) {
+            if(_.isPlainObject(item) && item._name !== undefined) {
+                names[path.concat(item._name).join('.')] = index;
+
+                item = _.omit(item, '_name');
+            }
+
+            return nameItems(item, path.concat(index), names);
+        });
+    }
+    else if(_.isPlainObject(value)) {
+        return _.mapValues(value, function(item, key) {
+            return nameItems(item, path.concat(key), names);
+        });
+    }
+
+    return value;
+}
+
+/**
+ * Returns the name MongoDB gives to the index with the fields provided, unless the index is named explicitly.
+ *
+ * @param  {Object} fields  The fields of the index with their direction.
+ * @param  {Object} options [optional] The options of the index.
+ * @return {String}         The name of the index.
+ */
+function indexName(fields, options) {
+    if(options && options.name) {
+        return options.name;
+    }
+
+    return _.map(fields, function(value, key) {
+        return key + '_' + value;
+    }).join('_');
+}
+
+/**
+ * Formats the list of problems found by the validation, one problem per line.
+ *
+ * @param  {Array}  problems The list of problems.
+ * @return {String}          The formatted problems.
+ */
+function formatProblems(problems) {
+    return _.map(problems, function(problem) {
+        var location = _.compact([problem.collection, problem.document, problem.path]).join('.');
+
+        return ' - ' + (location ? location + ': ' : '') + problem.message;
+    }).join('\n');
+}
+
+/**
+ * Removes the documents in the reverse order of their creation, so that documents are removed
+ * before the documents they reference. Consecutive documents of the same model are removed at once.
+ *
+ * @param  {Array}    created The list of created documents with their model and _id.
+ * @param  {Function} done    The method that should be called when the documents are removed.
+ */
+function removeDocuments(created, done) {
+    var groups = [];
+
+    _.forEachRight(created, function(item) {
+        var group = _.last(groups);
+
+        if(!group || group.Model !== item.Model) {
+            group = {Model: item.Model, ids: []};
+            groups.push(group);
+        }
+
+        group.ids.push(item._id);
+    });
+
+    async.eachSeries(groups, function(group, next) {
+        group.Model.remove({_id: {$in: group.ids}}, function(err) {
+            next(err);
+        });
+    }, done);
+}
+
+/**
+ * Creates a deferred object that holds a native promise together with the methods that resolve or reject it.
+ *
+ * @return {Object} The deferred object with the promise, resolve and reject properties.
+ */
+function defer() {
+    var def = {};
+
+    def.promise = new Promise(function(resolve, reject) {
+        def.resolve = resolve;
+        def.reject = reject;
+    });
+
+    return def;
+}
+
+/**
+ * Calls the callback with the outcome of the promise. The callback is called outside of the promise
+ * chain so that an error thrown by the callback is not turned into a rejection.
+ *
+ * @param  {Promise}  promise  The promise.
+ * @param  {Function} callback [optional] The method that should be called with the error or the value of the promise.
+ * @return {Promise}           The promise.
+ */
+function nodeify(promise, callback) {
+    if(_.isFunction(callback)) {
+        promise.then(function(value) {
+            process.nextTick(function() {
+                callback(undefined, value);
+            });
+        }, function(err) {
+            process.nextTick(function() {
+                callback(err);
+            });
+        });
+    }
+
+    return promise;
+}
+
+/**
+ * Tests if the value is a promise or another thenable object. Values that are created in the sandbox
+ * of the expressions have their own Promise class, so `instanceof` can not be used.
+ *
+ * @param  {*}       value The value that should be tested.
+ * @return {Boolean}       True if the value is thenable.
+ */
+function isThenable(value) {
+    return _.isObject(value) && _.isFunction(value.then);
+}
+
+/**
+ * Waits for all the promises in the value, including the promises nested in objects and arrays, and
+ * replaces them with the value they resolve to.
+ *
+ * @param  {*}       value The value that may hold promises.
+ * @return {Promise}       The value without promises.
+ */
+function resolveValues(value) {
+    if(isThenable(value)) {
+        return Promise.resolve(value).then(resolveValues);
+    }
+
+    if(_.isPlainObject(value) || _.isArray(value)) {
+        var keys = _.isArray(value) ? _.range(value.length) : Object.keys(value);
+
+        return Promise.all(_.map(keys, function(key) {
+            return resolveValues(value[key]);
+        })).then(function(values) {
+            _.forEach(keys, function(key, index) {
+                if(values[index] !== value[key]) {
+                    // Only replace the promises, the value can be an array of a created document
+                    value[key] = values[index];
+                }
+            });
+
+            return value;
+        });
+    }
+
+    return Promise.resolve(value);
+}
+
+/**
+ * Rejects if the promise does not settle within the timeout provided. The error has the same code as
+ * the error of an expression that does not finish in time.
+ *
+ * @param  {Promise} promise The promise.
+ * @param  {Number}  timeout [optional] The timeout in milliseconds. If no timeout is provided, the promise is returned as is.
+ * @return {Promise}         The promise that rejects when the timeout expires.
+ */
+function withTimeout(promise, timeout) {
+    if(!timeout) {
+        return Promise.resolve(promise);
+    }
+
+    var timer;
+
+    return Promise.race([promise, new Promise(function(resolve, reject) {
+        timer = setTimeout(function() {
+            reject(objectAssign(new Error('Promise did not settle within ' + timeout + 'ms'), {code: 'ERR_SCRIPT_EXECUTION_TIMEOUT'}));
+        }, timeout);
+    })]).then(function(value) {
+        clearTimeout(timer);
+
+        return value;
+    }, function(err) {
+        clearTimeout(timer);
+
+        throw err;
+    });
+}
+
+/**
+ * Waits for a promise that was created in the context of an expression. The callbacks in the context only
+ * run when code is evaluated in it, so the queue of the context is run until the promise settles. Every run
+ * of the queue is limited by the timeout as well.
+ *
+ * @param  {Promise} promise The promise of the expression.
+ * @param  {Object}  sandbox The sandbox of the expression.
+ * @param  {Number}  timeout [optional] The timeout in milliseconds.
+ * @return {Promise}         The promise that rejects when the promise or one of its callbacks does not finish in time.
+ */
+function settle(promise, sandbox, timeout) {
+    var settled = false;
+
+    return new Promise(function(resolve, reject) {
+        withTimeout(promise, timeout).then(resolve, reject);
+
+        (function drain() {
+            if(settled) {
+                return;
+            }
+
+            try {
+                sandbox.run('');
+            }
+            catch(err) {
+                return reject(err);
+            }
+
+            // Do not keep the process alive for a promise that never settles
+            setTimeout(drain, 1).unref();
+        })();
+    }).then(function(value) {
+        settled = true;
+
+        return value;
+    }, function(err) {
+        settled = true;
+
+        throw err;
+    });
+}
+
+/**
+ * Resolves the module in the same way a dependency is required, relative to the module that required
+ * the seeder. If the module can not be found, the name itself is returned.
+ *
+ * @param  {String} name The name or path of the module.
+ * @return {String}      The absolute path of the module.
+ */
+function resolveModule(name) {
+    try {
+        return require.resolve(name, {paths: [path.dirname(module.parent.filename)]});
+    }
+    catch(err) {
+        return name;
+    }
+}
+
+/**
+ * Calls a hook with the arguments provided. A hook is asynchronous if it returns a promise or
+ * if it accepts a callback as an extra argument.
+ *
+ * @param  {Function} hook The hook that should be called.
+ * @param  {Array}    args The arguments of the hook.
+ * @param  {Function} done The method that should be called with the error or the return value of the hook.
+ */
+function invokeHook(hook, args, done) {
+    var asynchronous = hook.length > args.length,
+        called = false,
+        result;
+
+    function callback(err, value) {
+        if(!called) {
+            called = true;
+            done(err, value);
+        }
+    }
+
+    try {
+        result = hook.apply(undefined, asynchronous ? args.concat(callback) : args);
+    }
+    catch(err) {
+        if(called) {
+            // The error is thrown after the hook called back, do not swallow it
+            throw err;
+        }
+
+        return callback(err);
+    }
+
+    if(!asynchronous) {
+        nodeify(Promise.resolve(result), callback);
+    }
+}
+
+/**
+ * Creates the state of a single seed run. Every run gets its own context so that
+ * concurrent runs do not overwrite each other's results.
+ *
+ * @param  {Connection} connection The mongoose connection the run is bound to.
+ * @param  {Object}     options    The options of the run.
+ * @return {Object}                The context of the run.
+ */
+function createContext(connection, options) {
+
+    var _this = {
+        connection: connection,
+        result: {},
+        options: options,
+        sandbox: {},
+        documents: {},
+        deferred: [],
+        queries: {},
+        created: [],
+        updated: [],
+        warnings: [],
+        current: undefined,
+        session: undefined,
+        stub: undefined,
+        unresolved: [],
+        pending: [],
+        started: Date.now(),
+        report: {},
+        timings: {},
+        /**
+         * The internal method for seeding the database.
+         *
+         * @param  {Object}   data The data that should be seeded.
+         * @param  {Function} done The method that should be called when the seeding is done
+         */
+        _seed: function(data, done) {
+            try {
+                _this._loadDependencies(data);
+            }
+            catch(e) {
+                // Stop execution and return the MODULE_NOT_FOUND error
+                return done(e);
+            }
+
+            var collections;
+
+            try {
+                // Apply the templates, build the dependency graph of all the documents and only keep the selected ones
+                collections = _this._select(_this._prepare(_this._expand(data)));
+            }
+            catch(err) {
+                // If a model does not exist, stop the execution
+                return done(err);
+            }
+
+            _.forEach(collections, function(collection) {
+                _this.report[collection.name] = {
+                    total: _.filter(_this.documents, {collection: collection.name}).length,
+                    created: 0,
+                    updated: 0,
+                    skipped: 0,
+                    duration: 0
+                };
+            });
+
+            async.series([
+                function(callback) {
+                    // Wait for the dependencies that export a promise
+                    _this._awaitDependencies(callback);
+                },
+                function(callback) {
+                    if(_this.options.dropCollections !== true) {
+                        return callback();
+                    }
+
+                    // Drop all the collections that are being seeded
+                    async.eachSeries(collections, function(collection, next) {
+                        _this._progress({type: 'drop', collection: collection.name});
+
+                        _this.connection.db.dropCollection(collection.Model.collection.name, function(err) {
+                            next();
+                        });
+                    }, callback);
+                },
+                function(callback) {
+                    if(_this.options.syncIndexes !== true) {
+                        return callback();
+                    }
+
+                    // Create the collections and their indexes before anything is inserted
+                    _this._syncIndexes(collections, callback);
+                },
+                function(callback) {
+                    if(_this.options.transaction !== true) {
+                        return callback();
+                    }
+
+                    // Start a transaction if the database supports it
+                    _this._startTransaction(callback);
+                },
+                function(callback) {
+                    // Look up the existing documents that are referenced
+                    _this._resolveQueries(callback);
+                },
+                function(callback) {
+                    // Run the before hooks of every collection
+                    async.eachSeries(collections, function(collection, next) {
+                        _this._runHooks('before', {collection: collection.name, Model: collection.Model}, undefined, next);
+                    }, callback);
+                },
+                function(callback) {
+                    var ordered = _this._order(_.values(_this.documents));
+
+                    if(_this.options.bulk) {
+                        // Insert the documents in batches per collection
+                        return async.eachSeries(_this._batches(ordered), _this._createBatch, callback);
+                    }
+
+                    // Create the documents in the order of their dependencies
+                    async.eachSeries(ordered, _this._create, callback);
+                },
+                function(callback) {
+                    // Fill in the references that could not be resolved at creation time
+                    _this._backfill(callback);
+                },
+                function(callback) {
+                    // Run the after hooks of every collection with the documents of that collection
+                    async.eachSeries(collections, function(collection, next) {
+                        _this._runHooks('after', {collection: collection.name, Model: collection.Model}, _this.result[collection.name], next);
+                    }, callback);
+                }
+            ], function(err) {
+                if(err) {
+                    // Undo everything that was created and make sure to not return the result
+                    return _this._rollback(function() {
+                        done(err);
+                    });
+                }
+
+                _this._commit(function(err) {
+                    if(err) {
+                        return done(err);
+                    }
+
+                    // Report the expressions that could not be evaluated and remember the created documents
+                    // without making them part of the collections
+                    Object.defineProperty(_this.result, '_warnings', {value: _this.warnings});
+                    Object.defineProperty(_this.result, '_created', {value: _this.created});
+                    Object.defineProperty(_this.result, '_report', {value: {
+                        duration: Date.now() - _this.started,
+                        created: _.sum(_.pluck(_this.report, 'created')),
+                        collections: _this.report
+                    }});
+
+                    done(undefined, _this.result);
+                });
+            });
+        },
+        /**
+         * This method loads the dependencies in the `_dependencies` section in the sandbox of the expressions.
+         *
+         * @param  {Object} data The data that should be seeded.
+         */
+        _loadDependencies: function(data) {
+            var policy = _this._expressionPolicy(),
+                allowed = policy.dependencies && _.map(policy.dependencies, resolveModule);
+
+            // Retrieve all the dependencies
+            _.forEach(data._dependencies || {}, function(value, key) {
+                if(_this.sandbox[key] !== undefined) {
+                    // Do nothing if the dependency is already defined
+                    return;
+                }
+
+                if(!policy.enabled || (allowed && allowed.indexOf(resolveModule(value)) === -1)) {
+                    // Do not load the module at all, requiring it could already run code
+                    throw objectAssign(new Error('Could not load dependency \'_dependencies.' + key + '\': ' + (policy.enabled ? 'module \'' + value + '\' is not in the list of allowed dependencies' : 'expressions are disabled') + '.'), {
+                        path: '_dependencies.' + key
+                    });
+                }
+
+                _this.sandbox[key] = module.parent.require(value);
+            });
+
+            // Remove the dependencies property
+            delete data._dependencies;
+
+            if(_this.sandbox.fake === undefined) {
+                // Make the fake data helpers available if the name is not taken by a dependency
+                _this.sandbox.fake = createFake(_this.options.fakeSeed);
+            }
+        },
+        /**
+         * This method returns the expression policy with the defaults filled in. If the `expressions` option
+         * is `false`, no expressions or dependencies are allowed.
+         *
+         * @return {Object} The policy with the enabled flag, the timeout and the list of allowed dependencies.
+         */
+        _expressionPolicy: function() {
+            var policy = _this.options.expressions;
+
+            return _.extend({
+                enabled: policy !== false,
+                timeout: undefined,
+                dependencies: undefined
+            }, _.isPlainObject(policy) ? policy : {});
+        },
+        /**
+         * This method replaces the dependencies that export a promise with the value the promise resolves to,
+         * so that the expressions can use that value.
+         *
+         * @param  {Function} done The method that should be called when all the dependencies are resolved.
+         */
+        _awaitDependencies: function(done) {
+            var keys = _.filter(Object.keys(_this.sandbox), function(key) {
+                return isThenable(_this.sandbox[key]);
+            });
+
+            nodeify(Promise.all(_.map(keys, function(key) {
+                return _this.sandbox[key];
+            })).then(function(values) {
+                _.forEach(keys, function(key, index) {
+                    _this.sandbox[key] = values[index];
+                });
+            }), done);
+        },
+        /**
+         * This method checks the data without touching the database. It verifies that every collection has
+         * a registered model, that every reference points to an existing document and property, and validates
+         * every document against the schema of its model with the references replaced by stub values.
+         *
+         * @param  {Object} data The data that should be seeded.
+         * @return {Array}       The list of problems that were found.
+         */
+        _validate: function(data) {
+            var problems = [],
+                invalid = [],
+                raw;
+
+            try {
+                _this._loadDependencies(data);
+
+                raw = _.cloneDeep(_this._expand(data));
+            }
+            catch(err) {
+                return [{message: err.message}];
+            }
+
+            _.forEach(data, function(collection, key) {
+                try {
+                    if(!collection._model) {
+                        throw new Error('Please provide a _model property that describes which database model should be used.');
+                    }
+
+                    _this.connection.model(collection._model);
+                }
+                catch(err) {
+                    problems.push({collection: key, message: err.message});
+
+                    // Do not validate the documents of the collection
+                    invalid.push(key);
+                    delete data[key];
+                }
+            });
+
+            try {
+                _this._select(_this._prepare(data));
+            }
+            catch(err) {
+                return problems.concat({message: err.message});
+            }
+
+            _this.stub = raw;
+
+            _.forEach(_this.documents, function(node) {
+                _.forEach(_.uniq(_this._references(node.data)), function(ref) {
+                    var message = _this._checkReference(raw, ref, invalid);
+
+                    if(message) {
+                        problems.push({collection: node.collection, document: node.name, message: 'Reference \'->' + ref + '\' could not be resolved: ' + message});
+                    }
+                });
+
+                var err;
+
+                try {
+                    err = new node.Model(_this._build(node)).validateSync();
+                }
+                catch(e) {
+                    return problems.push({collection: node.collection, document: node.name, message: e.message});
+                }
+
+                _.forEach(err ? err.errors : {}, function(error, path) {
+                    var unresolved = _.some(_this.unresolved, function(item) {
+                        return item.node === node && item.path === path;
+                    });
+
+                    if(unresolved) {
+                        // The value of the path is the result of a promise
+                        return;
+                    }
+
+                    problems.push({collection: node.collection, document: node.name, path: path, message: error.message});
+                });
+            });
+
+            _.forEach(_this.warnings, function(warning) {
+                problems.push({
+                    collection: warning.collection,
+                    document: warning.document,
+                    path: warning.path,
+                    message: 'Could not evaluate expression \'' + warning.expression + '\': ' + warning.message
+                });
+            });
+
+            return problems;
+        },
+        /**
+         * This method checks if the reference points to an existing document and property in the seed data.
+         *
+         * @param  {Object} raw     The seed data.
+         * @param  {String} ref     The reference without the leading arrow.
+         * @param  {Array}  invalid [optional] The collections of which the model problem is already reported.
+         * @return {String}         The reason why the reference can not be resolved, or undefined if it can.
+         */
+        _checkReference: function(raw, ref, invalid) {
+            var segments;
+
+            try {
+                segments = parseReference(ref);
+            }
+            catch(err) {
+                return err.message;
+            }
+
+            var collection = raw[segments[0].key];
+
+            if(_.includes(invalid, segments[0].key)) {
+                // The documents of the collection can not be checked without a model
+                return;
+            }
+
+            if(!_.isPlainObject(collection)) {
+                return 'collection \'' + segments[0].key + '\' does not exist';
+            }
+
+            if(segments.length === 1) {
+                return 'it points to a collection instead of a document';
+            }
+
+            if(segments[1].type !== 'key') {
+                // Lookups depend on the values of the created documents
+                return;
+            }
+
+            var value = collection[segments[1].key];
+
+            if(segments[1].key.indexOf('_') === 0 || !_.isPlainObject(value)) {
+                return 'document \'' + segments[0].key + '.' + segments[1].key + '\' does not exist';
+            }
+
+            var path = [],
+                schema = _this.connection.model(collection._model).schema;
+
+            for(var i = 2; i < segments.length && segments[i].type === 'key'; i++) {
+                path.push(segments[i].key);
+
+                if(_.isString(value) && (value.indexOf('=') === 0 || value.indexOf('->') === 0)) {
+                    // The value is only known when the document is created
+                    return;
+                }
+
+                if(_.isArray(value) && !/^\d+$/.test(segments[i].key)) {
+                    // The item of the array is referenced by its name
+                    value = _.find(value, {_name: segments[i].key});
+
+                    if(value === undefined) {
+                        return 'item \'' + path.join('.') + '\' does not exist';
+                    }
+
+                    continue;
+                }
+
+                if(!_.isObject(value) || !_.has(value, segments[i].key)) {
+                    var schemaPath = schema.path(path.join('.'));
+
+                    if(segments[i].key === '_id' || (schemaPath && schemaPath.defaultValue !== undefined)) {
+                        // The property is filled in by mongoose
+                        return;
+                    }
+
+                    return 'property \'' + path.join('.') + '\' does not exist';
+                }
+
+                value = value[segments[i].key];
+            }
+        },
+        /**
+         * This method returns the value that is used instead of a reference when the data is validated.
+         *
+         * @param  {String} ref The reference without the leading arrow.
+         * @return {*}          The stub value.
+         */
+        _stubReference: function(ref) {
+            var segments;
+
+            try {
+                segments = parseReference(ref);
+            }
+            catch(err) {
+                return undefined;
+            }
+
+            if(_.some(segments, {type: 'all'})) {
+                // The reference selects multiple documents or items
+                return [new mongoose.Types.ObjectId()];
+            }
+
+            if(_.every(segments, {type: 'key'})) {
+                var keys = _.pluck(segments, 'key'),
+                    value = _.reduce(keys, function(result, key) {
+                        if(_.isArray(result) && !/^\d+$/.test(key)) {
+                            // The item of the array is referenced by its name
+                            return _.find(result, {_name: key});
+                        }
+
+                        return result === undefined || result === null ? undefined : result[key];
+                    }, _this.stub);
+
+                if(_.isString(value) && (value.indexOf('=') === 0 || value.indexOf('->') === 0)) {
+                    return undefined;
+                }
+
+                try {
+                    var literal = parseExtendedJSON(value);
+
+                    if(literal !== undefined) {
+                        return literal;
+                    }
+                }
+                catch(err) {
+                    // The invalid literal is reported when the referenced document is built
+                    return undefined;
+                }
+
+                if(!(keys.length === 2 || (keys.length === 3 && keys[2] === '_id') || (value === undefined && _.last(keys) === '_id') || _.isPlainObject(value))) {
+                    return value;
+                }
+            }
+
+            // The reference points to the _id of a document
+            return new mongoose.Types.ObjectId();
+        },
+        /**
+         * This method applies the templates in the `_templates` section. Documents that have an `_extends`
+         * property are merged with the template they extend, and collections with a `_repeat` property
+         * get the number of documents generated from the template.
+         *
+         * @param  {Object} data The data that should be seeded.
+         * @return {Object}      The data with all the templates applied.
+         */
+        _expand: function(data) {
+            var templates = data._templates || {},
+                resolved = {};
+
+            // Remove the templates property
+            delete data._templates;
+
+            function extend(doc, chain) {
+                if(!doc._extends) {
+                    return doc;
+                }
+
+                var name = doc._extends;
+
+                if(!templates[name]) {
+                    throw new Error('Template \'' + name + '\' does not exist.');
+                }
+
+                if(chain.indexOf(name) !== -1) {
+                    throw new Error('Template \'' + name + '\' extends itself through ' + chain.concat(name).join(' -> ') + '.');
+                }
+
+                if(!resolved[name]) {
+                    resolved[name] = extend(templates[name], chain.concat(name));
+                }
+
+                // Arrays in the document replace the arrays of the template
+                return _.merge(_.cloneDeep(resolved[name]), _.omit(doc, '_extends'), function(a, b) {
+                    return _.isArray(b) ? b : undefined;
+                });
+            }
+
+            _.forEach(data, function(collection, key) {
+                _.forEach(collection._repeat ? [].concat(collection._repeat) : [], function(repeat) {
+                    var prefix = repeat.prefix || repeat.template;
+
+                    _.times(repeat.count, function(i) {
+                        collection[prefix + '_' + (i + 1)] = {
+                            _extends: repeat.template,
+                            _index: i + 1
+                        };
+                    });
+                });
+
+                // Remove the repeat property
+                delete collection._repeat;
+
+                _.forEach(collection, function(doc, name) {
+                    if(_.isPlainObject(doc)) {
+                        collection[name] = extend(doc, []);
+                    }
+                });
+            });
+
+            return data;
+        },
+        /**
+         * This method validates all the collections and builds a node for every document
+         * that should be created. Every node holds the list of documents it depends on
+         * because it references them with the `->` syntax.
+         *
+         * @param  {Object} data The data that should be seeded.
+         * @return {Array}       The list of collections together with their model.
+         */
+        _prepare: function(data) {
+            var collections = _.map(Object.keys(data), function(key) {
+                var value = data[key];
+
+                if(!value._model) {
+                    // Throw an error if the model could not be found
+                    throw new Error('Please provide a _model property that describes which database model should be used.');
+                }
+
+                // retrieve the model depending on the name provided
+                var Model = _this.connection.model(value._model),
+                    upsertBy = value._upsertBy ? [].concat(value._upsertBy) : undefined;
+
+                // Remove model and unique properties
+                delete value._model;
+                delete value._upsertBy;
+
+                _this.result[key] = {};
+
+                _.forEach(Object.keys(value), function(k) {
+                    var doc = value[k],
+                        names = {};
+
+                    _this.documents[key + '.' + k] = {
+                        id: key + '.' + k,
+                        collection: key,
+                        name: k,
+                        Model: _this._discriminator(Model, doc._discriminator, key + '.' + k),
+                        upsertBy: upsertBy,
+                        index: doc._index,
+                        names: names,
+                        data: nameItems(_.omit(doc, ['_index', '_discriminator']), [], names)
+                    };
+                });
+
+                return {name: key, Model: Model};
+            });
+
+            _.forEach(_this.documents, function(node) {
+                // A document does not depend on itself, even if it looks up its own collection
+                node.dependencies = _.without(_.uniq(_.flatten(_.map(_this._references(node.data), function(ref) {
+                    var segments;
+
+                    try {
+                        segments = parseReference(ref);
+                    }
+                    catch(err) {
+                        // Invalid references are reported when the reference is resolved
+                        return [];
+                    }
+
+                    var collection = segments[0].key;
+
+                    if(!_.isPlainObject(data[collection])) {
+                        // Unknown collections are reported when the reference is resolved
+                        return [];
+                    }
+
+                    if(segments.length === 1 || segments[1].type !== 'key') {
+                        // The reference points to the entire collection
+                        return _.map(Object.keys(data[collection]), function(k) {
+                            return collection + '.' + k;
+                        });
+                    }
+
+                    return _this.documents[collection + '.' + segments[1].key] ? [collection + '.' + segments[1].key] : [];
+                }))), node.id);
+            });
+
+            return collections;
+        },
+        /**
+         * This method removes the documents that are not selected by the `only` and `except` options. The
+         * documents that the selected documents reference are always kept, so that the references can be resolved.
+         *
+         * @param  {Array} collections The list of collections together with their model.
+         * @return {Array}             The list of collections that still have documents to create.
+         */
+        _select: function(collections) {
+            var only = _this.options.only,
+                except = _this.options.except,
+                selected = {};
+
+            if(!only && !except) {
+                return collections;
+            }
+
+            function matcher(option, list) {
+                list = [].concat(list);
+
+                _.forEach(list, function(item) {
+                    if(!_this.result[item] && !_this.documents[item]) {
+                        throw new Error('\'' + item + '\' in the ' + option + ' option is not a collection or document of the seed data.');
+                    }
+                });
+
+                return function(node) {
+                    return list.indexOf(node.collection) !== -1 || list.indexOf(node.id) !== -1;
+                };
+            }
+
+            var included = only ? matcher('only', only) : _.constant(true),
+                excluded = except ? matcher('except', except) : _.constant(false);
+
+            function select(id) {
+                if(selected[id] !== true) {
+                    selected[id] = true;
+
+                    // Pull in the documents that are referenced
+                    _.forEach(_this.documents[id].dependencies, select);
+                }
+            }
+
+            _.forEach(_this.documents, function(node) {
+                if(included(node) && !excluded(node)) {
+                    select(node.id);
+                }
+            });
+
+            _this.documents = _.pick(_this.documents, function(node) {
+                return selected[node.id] === true;
+            });
+
+            return _.filter(collections, function(collection) {
+                if(_.some(_this.documents, {collection: collection.name})) {
+                    return true;
+                }
+
+                // The collection is not seeded
+                delete _this.result[collection.name];
+
+                return false;
+            });
+        },
+        /**
+         * This method returns the discriminator model with the name provided. If no name is provided,
+         * the model itself is returned.
+         *
+         * @param  {Model}  Model The base model of the collection.
+         * @param  {String} name  [optional] The name of the discriminator.
+         * @param  {String} id    The id of the document, used in the error message.
+         * @return {Model}        The model of the document.
+         */
+        _discriminator: function(Model, name, id) {
+            if(name === undefined) {
+                return Model;
+            }
+
+            if(!_.has(Model.discriminators || {}, name)) {
+                throw new Error('Discriminator \'' + name + '\' of document \'' + id + '\' is not registered on model \'' + Model.modelName + '\'.');
+            }
+
+            return Model.discriminators[name];
+        },
+        /**
+         * This method collects all the references (values starting with ->) in the value provided.
+         *
+         * @param  {*}     value The value that should be searched for references.
+         * @return {Array}       The list of references without the leading arrow.
+         */
+        _references: function(value) {
+            if(_.isPlainObject(value) || _.isArray(value)) {
+                return _.flatten(_.map(value, _this._references));
+            }
+            else if(_.isString(value) && value.indexOf('->') === 0 && value.indexOf('->>') !== 0 && !isSelfReference(value.substr(2))) {
+                return [value.substr(2)];
+            }
+
+            return [];
+        },
+        /**
+         * This method collects all the query references (values starting with ->>) in the value provided.
+         *
+         * @param  {*}     value The value that should be searched for query references.
+         * @return {Array}       The list of query references without the leading arrow.
+         */
+        _queries: function(value) {
+            if(_.isPlainObject(value) || _.isArray(value)) {
+                return _.flatten(_.map(value, _this._queries));
+            }
+            else if(_.isString(value) && value.indexOf('->>') === 0) {
+                return [value.substr(3)];
+            }
+
+            return [];
+        },
+        /**
+         * This method parses a query reference like `User{"email": "foo@bar.com"}` in the model and
+         * the conditions that select the existing document.
+         *
+         * @param  {String} ref The query reference without the leading arrow.
+         * @return {Object}     The model and the conditions of the query.
+         */
+        _parseQuery: function(ref) {
+            var index = ref.indexOf('{');
+
+            if(index <= 0) {
+                throw new TypeError('Could not parse query reference \'->>' + ref + '\': expected a model name followed by JSON conditions');
+            }
+
+            var conditions;
+
+            try {
+                conditions = JSON.parse(ref.substr(index), function(key, value) {
+                    // The conditions can hold typed literals like {"$oid": "..."}
+                    var literal = parseExtendedJSON(value);
+
+                    return literal === undefined ? value : literal;
+                });
+            }
+            catch(err) {
+                throw new TypeError('Could not parse the conditions of query reference \'->>' + ref + '\': ' + err.message);
+            }
+
+            return {
+                Model: _this.connection.model(ref.substr(0, index).trim()),
+                conditions: conditions
+            };
+        },
+        /**
+         * This method looks up the existing documents of all the query references in the database. Every
+         * query should match exactly one document.
+         *
+         * @param  {Function} done The method that should be called when all the queries are resolved.
+         */
+        _resolveQueries: function(done) {
+            var queries = _.uniq(_.flatten(_.map(_this.documents, function(node) {
+                return _this._queries(node.data);
+            })));
+
+            async.eachSeries(queries, function(ref, next) {
+                var parsed;
+
+                try {
+                    parsed = _this._parseQuery(ref);
+                }
+                catch(err) {
+                    return next(err);
+                }
+
+                // Two documents are enough to know that the query is ambiguous
+                var query = parsed.Model.find(parsed.conditions).select('_id').limit(2);
+
+                if(_this.session) {
+                    query.session(_this.session);
+                }
+
+                query.exec(function(err, docs) {
+                    if(err) {
+                        return next(err);
+                    }
+
+                    if(docs.length !== 1) {
+                        return next(new Error('Query reference \'->>' + ref + '\' should match exactly one document, but it matched ' + (docs.length === 0 ? 'none' : 'more than one') + '.'));
+                    }
+
+                    _this.queries[ref] = docs[0]._id;
+
+                    next();
+                });
+            }, done);
+        },
+        /**
+         * This method sorts the documents topologically so that every document is created after
+         * the documents it references. If the documents reference each other, the cycle is broken
+         * by pre-allocating the `_id` of the documents that are not yet created.
+         *
+         * @param  {Array} nodes The list of document nodes in the order they are defined.
+         * @return {Array}       The list of document nodes in the order they should be created.
+         */
+        _order: function(nodes) {
+            var created = {},
+                ordered = [],
+                remaining = nodes.slice();
+
+            function isReady(node) {
+                return _.every(node.dependencies, function(dependency) {
+                    return created[dependency] === true;
+                });
+            }
+
+            function allocate(dependency) {
+                var node = _this.documents[dependency];
+
+                if(created[dependency] !== true && !node._id) {
+                    node._id = _this._allocateId(node);
+                }
+            }
+
+            while(remaining.length > 0) {
+                var index = _.findIndex(remaining, isReady);
+
+                if(index === -1) {
+                    // Every remaining document waits for another one, break the cycle with the first document
+                    index = 0;
+
+                    _.forEach(remaining[0].dependencies, allocate);
+                }
+
+                var node = remaining.splice(index, 1)[0];
+
+                created[node.id] = true;
+                ordered.push(node);
+            }
+
+            return ordered;
+        },
+        /**
+         * This method returns the _id of a document before it is created. If the document has a fixed `_id`
+         * that is known in advance, that one is used.
+         *
+         * @param  {Object}   node The node of the document.
+         * @return {ObjectId}      The _id of the document.
+         */
+        _allocateId: function(node) {
+            var id = node.data._id,
+                literal;
+
+            try {
+                literal = parseExtendedJSON(id);
+            }
+            catch(err) {
+                // The invalid literal is reported when the document is built
+            }
+
+            if(literal instanceof mongoose.Types.ObjectId) {
+                return literal;
+            }
+
+            if(_.isString(id) && /^[0-9a-f]{24}$/i.test(id)) {
+                return new mongoose.Types.ObjectId(id);
+            }
+
+            return new mongoose.Types.ObjectId();
+        },
+        /**
+         * This method groups the ordered documents in batches that can be inserted at once. A batch
+         * only holds documents of the same model that do not depend on each other.
+         *
+         * @param  {Array} ordered The list of document nodes in the order they should be created.
+         * @return {Array}         The list of batches.
+         */
+        _batches: function(ordered) {
+            var batchSize = _this._bulkOptions().batchSize,
+                batches = [],
+                batch,
+                inBatch = {};
+
+            _.forEach(ordered, function(node) {
+                var dependent = _.some(node.dependencies, function(dependency) {
+                    return inBatch[dependency] === true;
+                });
+
+                if(!batch || batch[0].Model !== node.Model || batch.length >= batchSize || dependent) {
+                    batch = [];
+                    inBatch = {};
+                    batches.push(batch);
+                }
+
+                batch.push(node);
+                inBatch[node.id] = true;
+            });
+
+            return batches;
+        },
+        /**
+         * This method returns the bulk options with the defaults filled in.
+         *
+         * @return {Object} The bulk options.
+         */
+        _bulkOptions: function() {
+            return _.extend({
+                ordered: true,
+                batchSize: 1000,
+                hooks: false
+            }, _.isPlainObject(_this.options.bulk) ? _this.options.bulk : {});
+        },
+        /**
+         * This method builds the data of the document represented by the node provided
+         * by resolving all the references and expressions.
+         *
+         * @param  {Object} node The node of the document.
+         * @return {Object}      The data that can be stored in the database.
+         */
+        _build: function(node) {
+            _this.current = node;
+
+            var data = _this._unwind(node.data);
+
+            if(node._id && data._id === undefined) {
+                // Use the pre-allocated _id because other documents already reference it
+                data._id = node._id;
+            }
+
+            return data;
+        },
+        /**
+         * This method builds the data of all the documents provided. If one of the documents can not be
+         * built, the promises of the expressions that were already evaluated are handled before the error
+         * is thrown, because nothing awaits them anymore.
+         *
+         * @param  {Array} nodes The nodes of the documents.
+         * @return {Array}       The data of the documents.
+         */
+        _buildAll: function(nodes) {
+            _this.pending = [];
+
+            try {
+                return _.map(nodes, _this._build);
+            }
+            catch(err) {
+                _.forEach(_this.pending, function(promise) {
+                    promise.catch(_.noop);
+                });
+
+                throw err;
+            }
+        },
+        /**
+         * This method creates all the documents in the batch with one call to the database.
+         *
+         * @param  {Array}    batch The nodes of the documents that should be created.
+         * @param  {Function} done  The method that should be called when the documents are created.
+         */
+        _createBatch: function(batch, done) {
+            var Model = batch[0].Model,
+                data;
+
+            if(batch[0].upsertBy) {
+                // Upserted documents have to be matched one by one with the existing documents
+                return async.eachSeries(batch, _this._create, done);
+            }
+
+            try {
+                data = _this._buildAll(batch);
+            }
+            catch(err) {
+                return done(err);
+            }
+
+            _.forEach(batch, _this._startDocument);
+
+            // Wait for the expressions of all the documents, so that no rejected promise is left unhandled
+            nodeify(Promise.all(_.map(data, resolveValues)), function(err, data) {
+                if(err) {
+                    return done(err);
+                }
+
+                async.mapSeries(_.range(batch.length), function(index, next) {
+                    _this._runHooks('beforeEach', _this._hookInfo(batch[index]), data[index], next);
+                }, insert);
+            });
+
+            function insert(err, data) {
+                if(err) {
+                    return done(err);
+                }
+
+                var referenced = _.find(batch, function(node, index) {
+                    return data[index] === false && node.referenced;
+                });
+
+                if(referenced) {
+                    return done(_this._skipError(referenced));
+                }
+
+                // Leave out the documents that are skipped by a hook
+                var nodes = _.filter(batch, function(node, index) {
+                    node.skipped = data[index] === false;
+
+                    if(node.skipped) {
+                        _this._finishDocument(node);
+                    }
+
+                    return !node.skipped;
+                });
+
+                if(nodes.length === 0) {
+                    return done();
+                }
+
+                data = _.without(data, false);
+
+                _this._insertMany(Model, data, function(err, result) {
+                    if(err) {
+                        return done(_this._duplicateKey(err, nodes, data));
+                    }
+
+                    _.forEach(nodes, function(node, index) {
+                        _this.result[node.collection][node.name] = result[index];
+
+                        _this._finishDocument(node);
+                    });
+
+                    async.eachSeries(nodes, function(node, next) {
+                        _this._runHooks('afterEach', _this._hookInfo(node), _this.result[node.collection][node.name], next);
+                    }, done);
+                });
+            }
+        },
+        /**
+         * This method creates the document represented by the node provided.
+         *
+         * @param  {Object}   node The node of the document that should be created.
+         * @param  {Function} done The method that should be called when the document is created.
+         */
+        _create: function(node, done) {
+            var data;
+
+            try {
+                data = _this._buildAll([node])[0];
+            }
+            catch(err) {
+                return done(err);
+            }
+
+            // Create the model, or update the existing document if the collection is upserted
+            var insert = node.upsertBy ? _this._upsert.bind(_this, node) : _this._insert.bind(_this, node.Model);
+
+            _this._startDocument(node);
+
+            // Wait for the expressions that return a promise
+            nodeify(resolveValues(data), function(err, data) {
+                if(err) {
+                    return done(err);
+                }
+
+                _this._runHooks('beforeEach', _this._hookInfo(node), data, function(err, data) {
+                    if(err) {
+                        return done(err);
+                    }
+
+                    if(data === false) {
+                        if(node.referenced) {
+                            return done(_this._skipError(node));
+                        }
+
+                        // The document is skipped by a hook
+                        node.skipped = true;
+                        _this._finishDocument(node);
+
+                        return done();
+                    }
+
+                    insert(data, function(err, result) {
+                        if(err) {
+                            // Do not stop execution if an error occurs
+                            return done(_this._duplicateKey(err, [node], [data]));
+                        }
+
+                        _this.result[node.collection][node.name] = result;
+
+                        _this._finishDocument(node);
+                        _this._runHooks('afterEach', _this._hookInfo(node), result, done);
+                    });
+                });
+            });
+        },
+        /**
+         * This method returns the error for a document that is skipped by a hook while other documents already
+         * hold its pre-allocated _id, because the documents reference each other.
+         *
+         * @param  {Object} node The node of the document.
+         * @return {Error}       The error.
+         */
+        _skipError: function(node) {
+            return objectAssign(new Error('Document \'' + node.id + '\' can not be skipped by a beforeEach hook: it is part of a reference cycle and its _id is already stored in other documents.'), {
+                collection: node.collection,
+                document: node.name,
+                hook: 'beforeEach'
+            });
+        },
+        /**
+         * This method passes the progress event to the `onProgress` option.
+         *
+         * @param  {Object} event The event with its type and the related collection and document.
+         */
+        _progress: function(event) {
+            if(_.isFunction(_this.options.onProgress)) {
+                _this.options.onProgress(event);
+            }
+        },
+        /**
+         * This method is called before a document is created. The first document of a collection starts
+         * the timer of that collection.
+         *
+         * @param  {Object} node The node of the document.
+         */
+        _startDocument: function(node) {
+            if(_this.timings[node.collection] === undefined) {
+                _this.timings[node.collection] = Date.now();
+
+                _this._progress({type: 'collection:start', collection: node.collection, total: _this.report[node.collection].total});
+            }
+        },
+        /**
+         * This method is called when a document is created, updated or skipped. It counts the document in the report
+         * and ends the collection when it was the last document of that collection.
+         *
+         * @param  {Object} node The node of the document.
+         */
+        _finishDocument: function(node) {
+            var stats = _this.report[node.collection];
+
+            if(node.skipped) {
+                stats.skipped++;
+            }
+            else {
+                stats[node.updated ? 'updated' : 'created']++;
+
+                _this._progress({
+                    type: 'document',
+                    collection: node.collection,
+                    document: node.name,
+                    updated: node.updated === true,
+                    value: _this.result[node.collection][node.name]
+                });
+            }
+
+            if(stats.created + stats.updated + stats.skipped === stats.total) {
+                stats.duration = Date.now() - _this.timings[node.collection];
+
+                _this._progress(_.extend({type: 'collection:end', collection: node.collection}, stats));
+            }
+        },
+        /**
+         * This method returns the information about the document that is passed to the document hooks.
+         *
+         * @param  {Object} node The node of the document.
+         * @return {Object}      The collection, name and model of the document, and the session of the transaction.
+         */
+        _hookInfo: function(node) {
+            return {
+                collection: node.collection,
+                name: node.name,
+                Model: node.Model,
+                session: _this.session
+            };
+        },
+        /**
+         * This method runs the hooks with the name provided. The global hook in the `hooks` option runs
+         * first, followed by the hook of the model in `hooks.models`. The `beforeEach` hooks can replace
+         * the data of the document by returning a new object, or skip the document by returning `false`.
+         *
+         * @param  {String}   name  The name of the hook, `before`, `after`, `beforeEach` or `afterEach`.
+         * @param  {Object}   info  The information about the collection or document.
+         * @param  {*}        value [optional] The value that is passed to the hooks before the information.
+         * @param  {Function} done  The method that should be called with the (replaced) value when the hooks are done.
+         */
+        _runHooks: function(name, info, value, done) {
+            var hooks = _this.options.hooks || {},
+                list = _.filter([hooks[name], _.get(hooks, ['models', info.Model.modelName, name])], _.isFunction);
+
+            async.eachSeries(list, function(hook, next) {
+                if(value === false) {
+                    // A previous hook skipped the document
+                    return next();
+                }
+
+                invokeHook(hook, value === undefined ? [info] : [value, info], function(err, result) {
+                    if(err) {
+                        var location = info.name ? 'document \'' + info.collection + '.' + info.name + '\'' : 'collection \'' + info.collection + '\'';
+
+                        return next(objectAssign(new Error('The ' + name + ' hook of ' + location + ' failed: ' + (err.message || err)), {
+                            collection: info.collection,
+                            document: info.name,
+                            hook: name,
+                            cause: err
+                        }));
+                    }
+
+                    if(name === 'beforeEach' && (result === false || _.isPlainObject(result))) {
+                        value = result;
+                    }
+
+                    next();
+                });
+            }, function(err) {
+                done(err, value);
+            });
+        },
+        /**
+         * This method inserts the data in the collection of the model. If the run is part of a
+         * transaction, the document is created in the session of that transaction. The document is
+         * remembered so that it can be removed again when the seeding fails or is undone.
+         *
+         * @param  {Model}    Model The model of the document.
+         * @param  {Object}   data  The data of the document.
+         * @param  {Function} done  The method that should be called when the document is created.
+         */
+        _insert: function(Model, data, done) {
+            function callback(err, result) {
+                if(!err) {
+                    _this.created.push({Model: Model, _id: result._id});
+                }
+
+                done(err, result);
+            }
+
+            if(_this.session) {
+                return Model.create([data], {session: _this.session}, function(err, result) {
+                    callback(err, result && result[0]);
+                });
+            }
+
+            Model.create(data, callback);
+        },
+        /**
+         * This method looks for an existing document that matches the fields the collection is upserted by. If
+         * the document exists, it is updated with the data provided. If not, the document is created.
+         *
+         * @param  {Object}   node The node of the document.
+         * @param  {Object}   data The data of the document.
+         * @param  {Function} done The method that should be called when the document is stored.
+         */
+        _upsert: function(node, data, done) {
+            var conditions = {};
+
+            try {
+                _.forEach(node.upsertBy, function(field) {
+                    var value = _.get(data, field);
+
+                    if(value === undefined) {
+                        throw new Error('Document \'' + node.id + '\' does not have a value for the field \'' + field + '\' it is upserted by.');
+                    }
+
+                    conditions[field] = value;
+                });
+            }
+            catch(err) {
+                return done(err);
+            }
+
+            var query = node.Model.findOne(conditions);
+
+            if(_this.session) {
+                query.session(_this.session);
+            }
+
+            query.exec(function(err, doc) {
+                if(err) {
+                    return done(err);
+                }
+
+                if(!doc) {
+                    // The document does not exist yet
+                    return _this._insert(node.Model, data, done);
+                }
+
+                if(node._id && !node._id.equals(doc._id)) {
+                    // Other documents already reference the pre-allocated _id
+                    return done(new Error('Document \'' + node.id + '\' is part of a reference cycle or references itself and can not be matched with an existing document.'));
+                }
+
+                // Report the document as updated instead of created
+                node.updated = true;
+
+                // Remember the previous state so that the document can be restored when the seeding fails
+                _this.updated.push({Model: node.Model, doc: doc.toObject({depopulate: true})});
+
+                doc.set(_.omit(data, '_id'));
+
+                doc.save(function(err) {
+                    done(err, doc);
+                });
+            });
+        },
+        /**
+         * This method inserts a list of documents in the collection of the model. The documents are
+         * validated first so that a validation error is reported even if the inserts are unordered.
+         * Unless the hooks option is turned on, the documents are written with `insertMany` and the
+         * save middleware of the model is not executed.
+         *
+         * @param  {Model}    Model The model of the documents.
+         * @param  {Array}    data  The data of the documents.
+         * @param  {Function} done  The method that should be called when the documents are created.
+         */
+        _insertMany: function(Model, data, done) {
+            var bulk = _this._bulkOptions(),
+                session = _this.session ? {session: _this.session} : {},
+                schemaPath = Model.schema.path('_id'),
+                generated = [];
+
+            if(schemaPath && schemaPath.instance === 'ObjectID') {
+                // Assign the _ids before the write, so that the documents written before a failure can be removed
+                _.forEach(data, function(item, index) {
+                    if(item._id === undefined) {
+                        item._id = new mongoose.Types.ObjectId();
+                        generated[index] = true;
+                    }
+                });
+            }
+
+            function callback(err, result) {
+                if(!err) {
+                    _.forEach(result, function(doc) {
+                        _this.created.push({Model: Model, _id: doc._id});
+                    });
+
+                    return done(err, result);
+                }
+
+                var failed = _.pluck(err.writeErrors || (_.isNumber(err.index) ? [err] : []), 'index'),
+                    ordered = bulk.hooks !== true && bulk.ordered !== false;
+
+                _.forEach(data, function(item, index) {
+                    // A fixed _id can belong to a document that existed before, so it is only tracked if
+                    // the document is known to be written
+                    var written = failed.length > 0 && failed.indexOf(index) === -1 && (!ordered || index < _.min(failed));
+
+                    if(item._id !== undefined && (generated[index] || written)) {
+                        _this.created.push({Model: Model, _id: item._id});
+                    }
+                });
+
+                done(err);
+            }
+
+            if(bulk.hooks === true) {
+                // Run the save middleware for every document
+                return _this.session ? Model.create(data, session, callback) : Model.create(data, callback);
+            }
+
+            async.eachSeries(data, function(item, next) {
+                new Model(item).validate(next);
+            }, function(err) {
+                if(err) {
+                    return done(err);
+                }
+
+                Model.insertMany(data, _.extend({ordered: bulk.ordered !== false}, session), callback);
+            });
+        },
+        /**
+         * This method creates the collection of every seeded model with the options of its schema and builds
+         * the indexes of the model. Models that share a collection, like discriminators, are only synchronized once.
+         *
+         * @param  {Array}    collections The collections that are seeded.
+         * @param  {Function} done        The method that should be called when all the indexes are built.
+         */
+        _syncIndexes: function(collections, done) {
+            var synced = [];
+
+            async.eachSeries(collections, function(collection, next) {
+                var Model = collection.Model;
+
+                if(synced.indexOf(Model) !== -1) {
+                    return next();
+                }
+
+                synced.push(Model);
+
+                _this._progress({type: 'indexes', collection: collection.name});
+
+                function callback(err) {
+                    if(err) {
+                        return next(objectAssign(new Error('Could not build the indexes of collection \'' + collection.name + '\': ' + err.message), {
+                            collection: collection.name,
+                            cause: err
+                        }));
+                    }
+
+                    next();
+                }
+
+                _this._createCollection(Model, function(err) {
+                    if(err) {
+                        return callback(err);
+                    }
+
+                    if(_.isFunction(Model.syncIndexes)) {
+                        // Also drops the indexes that are no longer part of the schema
+                        return nodeify(Promise.resolve(Model.syncIndexes()), callback);
+                    }
+
+                    Model.ensureIndexes(callback);
+                });
+            }, done);
+        },
+        /**
+         * This method creates the collection of the model, so that the capped, collation and time series
+         * options of the schema are applied before the first document is inserted.
+         *
+         * @param  {Model}    Model The model of the collection.
+         * @param  {Function} done  The method that should be called when the collection is created.
+         */
+        _createCollection: function(Model, done) {
+            var schemaOptions = Model.schema.options,
+                options = {};
+
+            function callback(err) {
+                // The collection already exists if it was not dropped
+                done(err && err.code !== 48 ? err : undefined);
+            }
+
+            if(_.isFunction(Model.createCollection)) {
+                // Mongoose applies the options of the schema itself
+                return nodeify(Promise.resolve(Model.createCollection()), callback);
+            }
+
+            if(schemaOptions.capped) {
+                options = _.isNumber(schemaOptions.capped) ? {capped: true, size: schemaOptions.capped} : _.extend({capped: true}, schemaOptions.capped);
+            }
+
+            if(schemaOptions.collation) {
+                options.collation = schemaOptions.collation;
+            }
+
+            if(schemaOptions.timeseries) {
+                options.timeseries = schemaOptions.timeseries;
+
+                if(schemaOptions.expireAfterSeconds !== undefined) {
+                    options.expireAfterSeconds = schemaOptions.expireAfterSeconds;
+                }
+            }
+
+            _this.connection.db.createCollection(Model.collection.name, options, callback);
+        },
+        /**
+         * This method replaces a duplicate key error by an error that names the documents of the seed data
+         * that collided. Other errors are returned as they are.
+         *
+         * @param  {Error}  err   The error of the insert.
+         * @param  {Array}  nodes The nodes of the documents that were inserted.
+         * @param  {Array}  data  The data of the documents that were inserted, in the same order.
+         * @return {Error}        The error that should be reported.
+         */
+        _duplicateKey: function(err, nodes, data) {
+            if(!err || (err.code !== 11000 && err.code !== 11001)) {
+                return err;
+            }
+
+            var Model = nodes[0].Model,
+                match = /index: (\S+) dup key/.exec(err.errmsg || err.message),
+                name = match ? match[1] : undefined,
+                fields;
+
+            if(err.keyPattern) {
+                fields = _.keys(err.keyPattern);
+                name = name || indexName(err.keyPattern);
+            }
+            else {
+                var index = _.find(Model.schema.indexes(), function(index) {
+                    return indexName(index[0], index[1]) === name;
+                });
 
-    var _this = {
-        result: {},
-        options: {},
-        sandbox: undefined,
+                fields = index && _.keys(index[0]);
+            }
+
+            if(!fields) {
+                // The fields of the index are unknown
+                return err;
+            }
+
+            function key(doc) {
+                return JSON.stringify(_.map(fields, function(field) {
+                    return String(_.isFunction(doc.get) ? doc.get(field) : _.get(doc, field));
+                }));
+            }
+
+            // The documents of the seed data that are already stored in the same collection
+            var stored = {};
+
+            _.forEach(_this.documents, function(node) {
+                var doc = _this.result[node.collection] && _this.result[node.collection][node.name];
+
+                if(doc && nodes.indexOf(node) === -1 && node.Model.collection.name === Model.collection.name) {
+                    stored[key(doc)] = node.id;
+                }
+            });
+
+            var position = _.isNumber(err.index) ? err.index : _.get(err, ['writeErrors', 0, 'index']),
+                documents;
+
+            _.forEach(nodes, function(node, i) {
+                var value = key(data[i]);
+
+                if(stored[value] !== undefined) {
+                    documents = [stored[value], node.id];
+
+                    return false;
+                }
+
+                stored[value] = node.id;
+            });
+
+            if(!documents && nodes.length === 1) {
+                position = 0;
+            }
+
+            if(!documents && nodes[position] === undefined) {
+                return err;
+            }
+
+            var id = documents ? documents[1] : nodes[position].id,
+                message = 'Document \'' + id + '\' violates the unique index \'' + name + '\': ';
+
+            if(documents) {
+                message += 'it has the same value for \'' + fields.join('\', \'') + '\' as document \'' + documents[0] + '\'.';
+            }
+            else {
+                message += 'a document with the same value for \'' + fields.join('\', \'') + '\' already exists in the database.';
+            }
+
+            return objectAssign(new Error(message), {
+                code: err.code,
+                index: name,
+                documents: documents || [id],
+                cause: err
+            });
+        },
         /**
-         * The internal method for seeding the database.
+         * This method starts a transaction if the connection supports sessions and the server is part of a
+         * replica set or a sharded cluster. If transactions are not supported, the created documents are
+         * tracked and removed when the seeding fails.
          *
-         * @param  {Object}   data The data that should be seeded.
-         * @param  {Function} done The method that should be called when the seeding is done
+         * @param  {Function} done The method that should be called when the transaction is started.
          */
-        _seed: function(data, done) {
-            try {
-                // Retrieve all the dependencies
-                _.forEach(data._dependencies || {}, function(value, key) {
-                    if(this.sandbox[key] !== undefined) {
-                        // Do nothing if the dependency is already defined
-                        return;
+        _startTransaction: function(done) {
+            if(!_.isFunction(_this.connection.startSession)) {
+                return done();
+            }
+
+            _this.connection.db.admin().command({isMaster: 1}, function(err, info) {
+                if(err || !(info.setName || info.msg === 'isdbgrid')) {
+                    // Transactions are only supported on replica sets and sharded clusters
+                    return done();
+                }
+
+                nodeify(Promise.resolve(_this.connection.startSession()), function(err, session) {
+                    if(err) {
+                        return done();
                     }
 
-                    this.sandbox[key] = module.parent.require(value);
-                }.bind(this));
+                    session.startTransaction();
+
+                    _this.session = session;
+
+                    done();
+                });
+            });
+        },
+        /**
+         * This method commits the transaction if one was started.
+         *
+         * @param  {Function} done The method that should be called when the transaction is committed.
+         */
+        _commit: function(done) {
+            var session = _this.session;
 
-                // Remove the dependencies property
-                delete data._dependencies;
+            if(!session) {
+                return done();
             }
-            catch(e) {
-                // Stop execution and return the MODULE_NOT_FOUND error
-                return done(e);
+
+            nodeify(Promise.resolve(session.commitTransaction()), function(err) {
+                session.endSession();
+
+                done(err);
+            });
+        },
+        /**
+         * This method undoes the seeding if the transaction option is turned on. It aborts the transaction
+         * or, if transactions are not supported, removes every document that was created and restores the
+         * documents that were updated.
+         *
+         * @param  {Function} done The method that should be called when everything is rolled back.
+         */
+        _rollback: function(done) {
+            var session = _this.session;
+
+            if(_this.options.transaction !== true) {
+                return done();
             }
 
-            // Iterate over all the data objects
-            async.eachSeries(Object.keys(data), function(key, next) {
-                _this.result[key] = {};
+            if(session) {
+                return nodeify(Promise.resolve(session.abortTransaction()), function() {
+                    session.endSession();
 
-                var value = data[key];
+                    // Report the error of the seeding instead of the error of the abort
+                    done();
+                });
+            }
 
-                try {
-                    if(!value._model) {
-                        // Throw an error if the model could not be found
-                        throw new Error('Please provide a _model property that describes which database model should be used.');
-                    }
+            removeDocuments(_this.created, function() {
+                async.eachSeries(_this.updated, function(item, next) {
+                    item.Model.collection.replaceOne({_id: item.doc._id}, item.doc, function() {
+                        next();
+                    });
+                }, function() {
+                    // Report the error of the seeding instead of the error of the removal
+                    done();
+                });
+            });
+        },
+        /**
+         * This method fills in the references that pointed to documents which did not exist yet
+         * at the moment the referencing document was created, and saves the documents again.
+         *
+         * @param  {Function} done The method that should be called when all the references are filled in.
+         */
+        _backfill: function(done) {
+            var deferred = _.groupBy(_this.deferred, function(item) {
+                return item.node.id;
+            });
 
-                    var modelName = value._model;
-
-                    // Remove model and unique properties
-                    delete value._model;
-
-                    // retrieve the model depending on the name provided
-                    var Model = mongoose.model(modelName);
-
-                    async.series([
-                        function(callback) {
-                            if(_this.options.dropCollections === true) {
-                                // Drop the collection
-                                mongoose.connection.db.dropCollection(Model.collection.name, function(err) {
-                                    callback();
-                                });
-                            }
-                            else {
-                                callback();
-                            }
-                        },
-                        function(callback) {
-                            async.eachSeries(Object.keys(value), function(k, innerNext) {
-                                var modelData = value[k],
-                                    data = _this._unwind(modelData);
-
-                                // Create the model
-                                Model.create(data, function(err, result) {
-                                    if(err) {
-                                        // Do not stop execution if an error occurs
-                                        return innerNext(err);
-                                    }
-
-                                    _this.result[key][k] = result;
-
-                                    innerNext();
-                                });
-                            }, callback);
-                        }
-                    ], next);
+            async.eachSeries(_.values(deferred), function(items, next) {
+                var node = items[0].node,
+                    doc = _this.result[node.collection][node.name];
+
+                if(node.skipped) {
+                    // The document is not created
+                    return next();
+                }
+
+                try {
+                    _.forEach(items, function(item) {
+                        doc.set(item.path, _this._findReference(item.ref));
+                    });
                 }
                 catch(err) {
-                    // If the model does not exist, stop the execution
                     return next(err);
                 }
-            }, function(err) {
-                if(err) {
-                    // Make sure to not return the result
-                    return done(err);
-                }
 
-                done(undefined, _this.result);
-            });
+                doc.save(function(err) {
+                    next(err);
+                });
+            }, done);
         },
         /**
          * This method unwinds an object and iterates over every property in the object.
          * It will then parse the value of the property in order to search for references
-         * and make a reference to the correct object.
+         * and make a reference to the correct object. The expressions are evaluated last,
+         * so that they can read the resolved references of the object.
          *
-         * @param  {Object} obj The object to parse.
-         * @return {Object}     The object with the correct references.
+         * @param  {Object} obj  The object to parse.
+         * @param  {String} path The path of the object in the document.
+         * @return {Object}      The object with the correct references.
          */
-        _unwind: function(obj) {
-            return _.mapValues(obj, function(value) {
-                return _this._parseValue(obj, value);
+        _unwind: function(obj, path) {
+            function isExpression(value) {
+                return _.isString(value) && value.indexOf('=') === 0;
+            }
+
+            var result = _.mapValues(obj, function(value, key) {
+                return isExpression(value) ? value : _this._parseValue(obj, value, path ? path + '.' + key : key);
             });
+
+            _.forEach(obj, function(value, key) {
+                if(isExpression(value)) {
+                    // Later expressions see the result of the earlier ones
+                    result[key] = _this._parseValue(result, value, path ? path + '.' + key : key);
+                }
+            });
+
+            return result;
         },
         /**
          * This method parses every value. If the value is an object it will unwind
@@ -139,44 +2092,156 @@ module.exports = (function() {
          *
          * @param  {Object} parent  The object for which the value should be parsed.
          * @param  {*}      value   The value that should be parsed.
+         * @param  {String} path    The path of the value in the document.
          * @return {*}              The parsed value.
          */
-        _parseValue: function(parent, value) {
-            if(_.isPlainObject(value)) {
+        _parseValue: function(parent, value, path) {
+            var literal;
+
+            try {
+                literal = parseExtendedJSON(value);
+            }
+            catch(err) {
+                throw new TypeError('Could not convert the Extended JSON value of \'' + _.compact([_this.current && _this.current.id, path]).join('.') + '\': ' + err.message);
+            }
+
+            if(literal !== undefined) {
+                // The value is a typed literal like {"$oid": "..."} or {"$date": "..."}
+                return literal;
+            }
+            else if(_.isPlainObject(value)) {
                 // Unwind the object
-                return _this._unwind(value);
+                return _this._unwind(value, path);
             }
             else if(_.isArray(value)) {
                 // Iterate over the array
-                return _.map(value, function(val) {
-                    return _this._parseValue(parent, val);
+                return _.map(value, function(val, index) {
+                    return _this._parseValue(parent, val, path + '.' + index);
                 });
             }
             else if(_.isString(value) && value.indexOf('=') === 0) {
-                // Evaluate the expression
-                try {
-                    // Assign the object to the _this property
-                    var base = {
-                       '_this': parent
+                // Remember the document, a promise can fail when the next document is built
+                var policy = _this._expressionPolicy(),
+                    current = _this.current,
+                    sandbox,
+                    result;
+
+                var fail = function(e) {
+                    var problem = {
+                        collection: current && current.collection,
+                        document: current && current.name,
+                        path: path,
+                        expression: value,
+                        message: e.message
                     };
 
-                    // Create a new combined context
-                    var ctx = vm.createContext(objectAssign(base, _this.sandbox));
+                    if(_this.options.strictExpressions === true || e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || !policy.enabled) {
+                        // Stop the seeding instead of storing the expression itself, violations of the policy always stop it
+                        throw objectAssign(new Error('Could not evaluate expression \'' + value + '\' of \'' + problem.collection + '.' + problem.document + '.' + path + '\': ' + e.message), _.omit(problem, 'message'));
+                    }
+
+                    _this.warnings.push(problem);
+
+                    return value;
+                };
+
+                if(!policy.enabled) {
+                    // Expressions are not allowed, even if the seeding is not strict
+                    return fail(new Error('expressions are disabled'));
+                }
+
+                // Evaluate the expression
+                try {
+                    // Create a new sandbox in which the object and the dependencies can only be reached through a proxy
+                    sandbox = createSandbox(objectAssign({index: current && current.index}, _this.sandbox, {_this: parent}), {timeout: policy.timeout});
 
                     // Run in the new context
-                    return vm.runInContext(value.substr(1).replace(/this\./g, '_this.'), ctx);
+                    result = sandbox.run(value.substr(1).replace(/this\./g, '_this.'));
                 }
                 catch(e) {
-                    return value;
+                    return fail(e);
                 }
+
+                if(isThenable(result)) {
+                    if(_this.stub) {
+                        // The value is only known when the promise resolves, which does not happen while validating
+                        Promise.resolve(result).catch(_.noop);
+
+                        _this.unresolved.push({node: current, path: path});
+
+                        return undefined;
+                    }
+
+                    // The promise is awaited before the document is created. A rejection is handled like an error.
+                    var promise = settle(result, sandbox, policy.timeout).catch(fail);
+
+                    _this.pending.push(promise);
+
+                    return promise;
+                }
+
+                return result;
+            }
+            else if(_.isString(value) && value.indexOf('->>') === 0) {
+                if(_this.stub) {
+                    // The data is validated without querying the database
+                    _this._parseQuery(value.substr(3));
+
+                    return new mongoose.Types.ObjectId();
+                }
+
+                // The existing document is looked up before the documents are created
+                return _this.queries[value.substr(3)];
             }
             else if(_.isString(value) && value.indexOf('->') === 0) {
+                if(isSelfReference(value.substr(2))) {
+                    // The document that is being created
+                    return _this._selfReference(value.substr(2));
+                }
+
+                if(_this.stub) {
+                    // The data is validated without creating the documents
+                    return _this._stubReference(value.substr(2));
+                }
+
                 // Find the reference to the object
-                return _this._findReference(value.substr(2));
+                var reference = _this._findReference(value.substr(2));
+
+                if(reference === DEFERRED) {
+                    // The referenced document does not exist yet, fill it in when everything is created
+                    _this.deferred.push({node: _this.current, path: path, ref: value.substr(2)});
+
+                    return undefined;
+                }
+
+                return reference;
             }
 
             return value;
         },
+        /**
+         * This method resolves a reference to the document that is being created. The _id of the document is
+         * allocated in advance, because the document does not exist yet.
+         *
+         * @param  {String}   ref The reference without the leading arrow, `self` or `self._id`.
+         * @return {ObjectId}     The _id of the document.
+         */
+        _selfReference: function(ref) {
+            var node = _this.current;
+
+            if(ref !== 'self' && ref !== 'self._id') {
+                throw objectAssign(new TypeError('Could not resolve reference \'->' + ref + '\': only the _id of the document itself can be referenced, use an expression like =this.name to read its other properties'), {
+                    reference: '->' + ref,
+                    at: 'self'
+                });
+            }
+
+            if(!node._id) {
+                node._id = _this._allocateId(node);
+            }
+
+            return node._id;
+        },
         /**
          * This method searches for the _id associated with the object represented
          * by the reference provided.
@@ -185,35 +2250,153 @@ module.exports = (function() {
          * @return {String}     The reference to the object.
          */
         _findReference: function(ref) {
-            var keys = ref.split('.'),
-                key = keys.shift(),
-                result = _this.result[key];
+            var segments = parseReference(ref),
+                walked = [segments[0].key],
+                result = _this.result[segments[0].key],
+                many = false;
+
+            function fail(reason) {
+                return objectAssign(new TypeError('Could not resolve reference \'->' + ref + '\' at \'' + walked.join('') + '\': ' + reason), {
+                    reference: '->' + ref,
+                    at: walked.join('')
+                });
+            }
 
             if(!result) {
                 // If the result does not exist, return an empty
-                throw new TypeError('Could not read property \'' + key + '\' from undefined');
+                throw fail('collection \'' + segments[0].key + '\' does not exist');
             }
 
-            // Iterate over all the keys and find the property
-            while((key = keys.shift())) {
-                result = result[key];
+            function isPending(node) {
+                // The document that is being built is not part of its own lookup
+                return node !== _this.current && node.collection === segments[0].key && result[node.name] === undefined && !node.skipped;
             }
 
-            if(_.isObject(result) && !_.isArray(result)) {
-                // Test if the result we have is an object. This means the user wants to reference
-                // to the _id of the object.
-                if(!result._id) {
-                    // If no _id property exists, throw a TypeError that the property could not be found
-                    throw new TypeError('Could not read property \'_id\' of ' + JSON.stringify(result));
+            if(segments.length > 1 && segments[1].type === 'key') {
+                var node = _this.documents[segments[0].key + '.' + segments[1].key];
+
+                if(node && node.skipped) {
+                    walked.push('.' + node.name);
+
+                    throw fail('the document is skipped by a beforeEach hook');
                 }
 
-                return result._id;
+                if(node && result[node.name] === undefined) {
+                    // The document is part of a cycle and is not created yet
+                    var rest = _.pluck(segments.slice(2), 'key');
+
+                    if(node._id && (rest.length === 0 || (rest.length === 1 && rest[0] === '_id'))) {
+                        // The document can not be skipped anymore once its _id is stored in another document
+                        node.referenced = true;
+
+                        return node._id;
+                    }
+
+                    return DEFERRED;
+                }
+            }
+            else if(segments.length > 1 && _.some(_this.documents, isPending)) {
+                // The reference looks at all the documents of the collection, which are not all created yet
+                return DEFERRED;
             }
 
-            return result;
+            // The path inside the referenced document, used to find the named items of arrays
+            var target = segments.length > 1 && segments[1].type === 'key' ? _this.documents[segments[0].key + '.' + segments[1].key] : undefined,
+                location = target ? [] : undefined;
+
+            // Iterate over all the segments and find the property
+            _.forEach(segments.slice(1), function(segment, index) {
+                if(segment.type !== 'key') {
+                    // The position in the document is not known anymore
+                    location = undefined;
+                }
+
+                if(segment.type === 'all') {
+                    if(!_.isObject(result)) {
+                        throw fail('can not select all the items of ' + result);
+                    }
+
+                    result = _.isArray(result) ? result.slice() : _.values(result);
+                    many = true;
+                }
+                else if(segment.type === 'match') {
+                    var candidates = _.isArray(result) ? result : _.values(result),
+                        matches = _.filter(candidates, function(item) {
+                            return _.isObject(item) && String(_.get(item, segment.field)) === segment.value;
+                        });
+
+                    if(many) {
+                        result = matches;
+                    }
+                    else if(matches.length !== 1) {
+                        throw fail(matches.length + ' items match [' + segment.field + '=' + segment.value + '] instead of exactly one');
+                    }
+                    else {
+                        result = matches[0];
+                    }
+                }
+                else if(many) {
+                    result = _.map(result, function(item) {
+                        return item === undefined || item === null ? item : item[segment.key];
+                    });
+                }
+                else {
+                    if(result === undefined || result === null) {
+                        throw fail('can not read property \'' + segment.key + '\' of ' + result);
+                    }
+
+                    var position = location && index > 0 ? target.names[location.concat(segment.key).join('.')] : undefined;
+
+                    if(_.isArray(result) && position !== undefined) {
+                        // The item of the array has a name in the seed data
+                        result = result[position];
+                    }
+                    else {
+                        result = result[segment.key];
+                    }
+
+                    if(location && index > 0) {
+                        location.push(position === undefined ? segment.key : position);
+                    }
+                }
+
+                walked.push(segment.type === 'key' ? '.' + segment.key : segment.type === 'all' ? '.*' : '[' + segment.field + '=' + segment.value + ']');
+            });
+
+            function id(value) {
+                if(_.isObject(value) && !_.isArray(value) && value._bsontype !== 'ObjectID') {
+                    // Test if the result we have is an object. This means the user wants to reference
+                    // to the _id of the object.
+                    if(!value._id) {
+                        // If no _id property exists, throw a TypeError that the property could not be found
+                        throw fail('could not read property \'_id\' of ' + JSON.stringify(value));
+                    }
+
+                    return value._id;
+                }
+
+                return value;
+            }
+
+            return many ? _.map(result, id) : id(result);
         }
     };
 
+    return _this;
+}
+
+/**
+ * Creates a seeder that is bound to the connection provided. If no connection is
+ * provided, the default mongoose connection is used.
+ *
+ * @param  {Object} settings            The settings of the seeder.
+ * @param  {Object} settings.connection [optional] The mongoose connection to seed.
+ * @return {Object}                     The seeder.
+ */
+function createSeeder(settings) {
+
+    var connection = (settings && settings.connection) || mongoose.connection;
+
     return {
         /**
          * Start seeding the database.
@@ -230,18 +2413,10 @@ module.exports = (function() {
             }
 
             // Create a deferred object for the promise
-            var def = Q.defer();
-
-            // If no callback is provided, use a noop function
-            callback = callback || function() {};
-
-            // Clear earlier results and options
-            _this.result = {};
-            _this.options = {};
-            _this.sandbox = vm.createContext();
+            var def = defer();
 
-            // Defaulting the options
-            _this.options = _.extend(_.clone(DEFAULT_OPTIONS), options);
+            // Defaulting the options and create a clean context for this run
+            var _this = createContext(connection, _.extend(_.clone(DEFAULT_OPTIONS), options));
 
             if(_this.options.dropCollections === true && _this.options.dropDatabase === true) {
                 // Only one of the two flags can be turned on. If both are true, this means the
@@ -250,21 +2425,58 @@ module.exports = (function() {
                 _this.options.dropDatabase = false;
             }
 
-            if(_this.options.dropDatabase === true) {
+            var error;
+
+            try {
+                // Merge the overlays of the selected profiles into the data
+                data = applyProfiles(_.cloneDeep(data), _this.options.profile);
+            }
+            catch(err) {
+                error = err;
+            }
+
+            if(error) {
+                // Stop if a profile does not exist
+                done(error);
+            }
+            else if(_this.options.dryRun === true) {
+                // Only check the data, without touching the database
+                var problems;
+
+                try {
+                    problems = _this._validate(data);
+                }
+                catch(err) {
+                    error = err;
+                }
+
+                if(error) {
+                    done(error);
+                }
+                else if(problems.length > 0) {
+                    done(objectAssign(new Error('The seed data contains ' + problems.length + ' problem(s):\n' + formatProblems(problems)), {problems: problems}));
+                }
+                else {
+                    done(undefined, {});
+                }
+            }
+            else if(_this.options.dropDatabase === true) {
                 // Make sure to drop the database first
-                mongoose.connection.db.dropDatabase(function(err) {
+                _this._progress({type: 'drop'});
+
+                _this.connection.db.dropDatabase(function(err) {
                     if(err) {
                         // Stop seeding if an error occurred
                         return done(err);
                     }
 
                     // Start seeding when the database is dropped
-                    _this._seed(_.cloneDeep(data), done);
+                    _this._seed(data, done);
                 });
             }
             else {
                 // Do not drop the entire database, start seeding
-                _this._seed(_.cloneDeep(data), done);
+                _this._seed(data, done);
             }
 
             /**
@@ -277,17 +2489,108 @@ module.exports = (function() {
              */
             function done(err, result) {
                 if(err) {
-                    def.reject(err);
-                    callback(err);
-                    return;
+                    _this._progress({type: 'error', error: err, collection: err.collection, document: err.document});
+
+                    return def.reject(err);
                 }
 
                 def.resolve(result);
-                callback(undefined, result);
             }
 
-            // Return the promise
-            return def.promise;
+            // Call the callback and return the promise
+            return nodeify(def.promise, callback);
+        },
+        /**
+         * Remove exactly the documents that were created by a seed. Documents that already existed,
+         * for instance documents that were updated because of `_upsertBy`, are kept.
+         *
+         * @param  {Object}   result   The result of the seed.
+         * @param  {Function} callback The method that should be called when the documents are removed.
+         */
+        unseed: function(result, callback) {
+            var def = defer();
+
+            removeDocuments((result && result._created) || [], function(err) {
+                if(err) {
+                    return def.reject(err);
+                }
+
+                def.resolve();
+            });
+
+            return nodeify(def.promise, callback);
+        },
+        /**
+         * Export documents from the database to the format of the seed data. References between
+         * the exported documents are rewritten to references in the seed data.
+         *
+         * @param  {Object}   options  The export options.
+         * @param  {Function} callback The method that should be called with the seed data.
+         */
+        export: function(options, callback) {
+            if(_.isFunction(options)) {
+                // Set the correct callback function
+                callback = options;
+                options = {};
+            }
+
+            return nodeify(exportData(connection, options), callback);
+        },
+        /**
+         * Check the seed data without touching the database. All the problems are collected instead of
+         * stopping at the first one.
+         *
+         * @param  {Object} data    The data object that should be inserted in the database.
+         * @param  {Object} options [optional] The options object, for instance to select the profile.
+         * @return {Array}          The list of problems. Every problem has a message and, if known, the
+         *                          collection, document and path it relates to.
+         */
+        validate: function(data, options) {
+            options = _.extend(_.clone(DEFAULT_OPTIONS), options);
+
+            try {
+                data = applyProfiles(_.cloneDeep(data), options.profile);
+            }
+            catch(err) {
+                return [{message: err.message}];
+            }
+
+            return createContext(connection, options)._validate(data);
+        },
+        /**
+         * Merge the overlays of the profiles into the data, without seeding it. This shows the data exactly as
+         * it would be seeded.
+         *
+         * @param  {Object} data    The data object with the `_profiles` section.
+         * @param  {Object} options [optional] The options object. The `profile` property selects the profiles.
+         * @return {Object}         The merged data. The `_origins` property holds the name of the layer every value
+         *                          came from by its path, `base` for values that are not changed by a profile.
+         */
+        applyProfiles: function(data, options) {
+            return applyProfiles(_.cloneDeep(data), (options || {}).profile);
+        },
+        /**
+         * Load the seed data from JSON, JavaScript and YAML files and start seeding the database.
+         *
+         * @param  {String|Array} patterns The glob patterns or directories of the seed files.
+         * @param  {Object}       options  The options object to provide extras.
+         * @param  {Function}     callback The method that should be called when the seeding is done.
+         */
+        seedFiles: function(patterns, options, callback) {
+            if(_.isFunction(options)) {
+                // Set the correct callback function
+                callback = options;
+                options = {};
+            }
+
+            var seeder = this;
+
+            return nodeify(loadFiles(patterns).then(function(data) {
+                return seeder.seed(data, options);
+            }), callback);
         }
     };
-})();
\ No newline at end of file
+}
+
+module.exports = createSeeder();
+module.exports.createSeeder = createSeeder;
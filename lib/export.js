@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * This module exports documents from the database to the format of the seed data. References
+ * between the exported documents are rewritten to the `->collection.document` syntax.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var fs = require('fs'),
+    _ = require('lodash');
+
+/**
+ * Returns the default name of the document, which is the model name followed by the
+ * position of the document in the export.
+ *
+ * @param  {Document} doc   The document.
+ * @param  {Model}    Model The model of the document.
+ * @param  {Number}   index The position of the document, ordered by _id.
+ * @return {String}         The name of the document.
+ */
+function defaultName(doc, Model, index) {
+    return Model.modelName.charAt(0).toLowerCase() + Model.modelName.substr(1) + '_' + (index + 1);
+}
+
+/**
+ * Exports the documents of the models provided.
+ *
+ * @param  {Connection} connection       The connection the models are registered on.
+ * @param  {Object}     options          The export options.
+ * @param  {Array}      options.models   [optional] The names of the models to export. Defaults to all the models.
+ * @param  {Object}     options.query    [optional] The conditions per model name that select the documents.
+ * @param  {Function}   options.name     [optional] Returns the name of a document.
+ * @param  {Boolean}    options.keepIds  [optional] Keep the _id properties of the documents.
+ * @param  {String}     options.file     [optional] The file the seed data should be written to.
+ * @return {Promise}                     The seed data.
+ */
+module.exports = function(connection, options) {
+    options = options || {};
+
+    var models = _.map(options.models || connection.modelNames(), function(name) {
+            return connection.model(name);
+        }),
+        query = options.query || {},
+        name = options.name || defaultName;
+
+    // The documents of a discriminator are exported with its base model
+    models = _.reject(models, function(Model) {
+        return Model.baseModelName && _.some(models, {modelName: Model.baseModelName});
+    });
+
+    return Promise.all(_.map(models, function(Model) {
+        return new Promise(function(resolve, reject) {
+            Model.find(query[Model.modelName] || {}).sort({_id: 1}).exec(function(err, docs) {
+                return err ? reject(err) : resolve(docs);
+            });
+        });
+    })).then(function(results) {
+        var names = {},
+            data = {};
+
+        // Name all the documents first so that references in any direction can be rewritten
+        _.forEach(results, function(docs, index) {
+            var Model = models[index],
+                key = Model.collection.name;
+
+            _.forEach(docs, function(doc, i) {
+                names[String(doc._id)] = {collection: key, name: name(doc, Model, i)};
+            });
+        });
+
+        function convert(value) {
+            if(value && value._bsontype === 'ObjectID') {
+                var target = names[String(value)];
+
+                // Rewrite the ObjectId to a reference if it points to an exported document
+                return target ? '->' + target.collection + '.' + target.name : String(value);
+            }
+            else if(_.isDate(value)) {
+                return value.toISOString();
+            }
+            else if(_.isArray(value)) {
+                return _.map(value, convert);
+            }
+            else if(_.isPlainObject(value)) {
+                return _.mapValues(options.keepIds === true ? value : _.omit(value, '_id'), convert);
+            }
+
+            return value;
+        }
+
+        _.forEach(results, function(docs, index) {
+            var Model = models[index],
+                collection = data[Model.collection.name] = {_model: Model.modelName};
+
+            _.forEach(docs, function(doc) {
+                var obj = doc.toObject({depopulate: true}),
+                    id = obj._id;
+
+                obj = _.omit(obj, ['_id', Model.schema.options.versionKey, Model.schema.options.discriminatorKey]);
+
+                if(options.keepIds === true) {
+                    obj = _.extend({_id: String(id)}, obj);
+                }
+
+                if(doc.constructor.modelName !== Model.modelName) {
+                    obj = _.extend({_discriminator: doc.constructor.modelName}, obj);
+                }
+
+                collection[names[String(id)].name] = _.mapValues(obj, function(value, key) {
+                    return key === '_id' ? value : convert(value);
+                });
+            });
+        });
+
+        if(options.file) {
+            return new Promise(function(resolve, reject) {
+                fs.writeFile(options.file, JSON.stringify(data, undefined, 4) + '\n', function(err) {
+                    return err ? reject(err) : resolve(data);
+                });
+            });
+        }
+
+        return data;
+    });
+};
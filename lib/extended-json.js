@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * This module converts the values in MongoDB Extended JSON, as written by `mongoexport`, to the
+ * types that mongoose stores.
+ *
+ *     {"$oid": "5f1d7a3b9c1e4a0012345678"}       => ObjectId
+ *     {"$date": "1988-07-25T00:00:00Z"}          => Date
+ *     {"$numberDecimal": "9.99"}                 => Decimal128
+ *     {"$regex": "^foo", "$options": "i"}        => RegExp
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var mongoose = require('mongoose'),
+    _ = require('lodash');
+
+// The converters of the supported types
+var TYPES = {
+    $oid: function(value) {
+        return new mongoose.Types.ObjectId(value);
+    },
+    $date: function(value) {
+        // The canonical format holds the number of milliseconds in a $numberLong
+        var date = new Date(_.isPlainObject(value) ? Number(value.$numberLong) : value);
+
+        if(isNaN(date.getTime())) {
+            throw new TypeError(JSON.stringify(value) + ' is not a valid date');
+        }
+
+        return date;
+    },
+    $numberDecimal: function(value) {
+        return mongoose.Types.Decimal128.fromString(String(value));
+    },
+    $numberLong: function(value) {
+        var number = Number(value);
+
+        // A 64-bit integer does not always fit in a number without losing precision
+        if(!Number.isSafeInteger(number)) {
+            throw new RangeError(JSON.stringify(value) + ' can not be stored as a number without losing precision');
+        }
+
+        return number;
+    },
+    $numberInt: Number,
+    $numberDouble: Number,
+    $regex: function(value, literal) {
+        return new RegExp(value, literal.$options || '');
+    },
+    $regularExpression: function(value) {
+        return new RegExp(value.pattern, value.options || '');
+    }
+};
+
+/**
+ * Converts the value if it is an Extended JSON literal.
+ *
+ * @param  {*} value The value that should be converted.
+ * @return {*}       The converted value, or undefined if the value is not an Extended JSON literal.
+ */
+module.exports = function(value) {
+    if(!_.isPlainObject(value)) {
+        return undefined;
+    }
+
+    var keys = Object.keys(value),
+        type = _.find(keys, function(key) {
+            return _.has(TYPES, key);
+        });
+
+    // Only $regex has a second property
+    if(!type || _.without(keys, type, type === '$regex' ? '$options' : type).length > 0) {
+        return undefined;
+    }
+
+    return TYPES[type](value[type], value);
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * This module generates fake data that can be used in the expressions of the seed data.
+ * All the values are derived from a seeded random generator, so the same seed always
+ * produces the same values.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var vm = require('vm'),
+    mongoose = require('mongoose'),
+    createSandbox = require('./sandbox');
+
+/**
+ * Creates the fake data helpers. This method runs inside the context of a sandbox, so it can only use the
+ * global variables of that context. The `ObjectId` global is the wrapped ObjectId class of mongoose.
+ *
+ * @param  {Number} seed The seed of the random generator.
+ * @return {Object}      The fake data helpers.
+ */
+function createHelpers(seed) {
+    var FIRST_NAMES = ['Alice', 'Bob', 'Charlotte', 'David', 'Emma', 'Finn', 'Grace', 'Hugo', 'Iris', 'Jack', 'Julia', 'Lucas', 'Mila', 'Noah', 'Olivia', 'Sam', 'Sophie', 'Thomas', 'Victor', 'Zoe'];
+    var LAST_NAMES = ['Adams', 'Baker', 'Claes', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Jansen', 'Maes', 'Martin', 'Peeters', 'Smith', 'Taylor', 'Wouters', 'Young'];
+    var DOMAINS = ['example.com', 'example.org', 'example.net'];
+    var WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'minim', 'veniam', 'quis', 'nostrud'];
+
+    var state = seed >>> 0;
+
+    // A random generator that returns numbers between 0 and 1 based on the seed (mulberry32)
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function integer(min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+
+    function pick(list) {
+        return list[integer(0, list.length - 1)];
+    }
+
+    function times(count, iteratee) {
+        var result = [];
+
+        for(var i = 0; i < count; i++) {
+            result.push(iteratee());
+        }
+
+        return result;
+    }
+
+    function words(count) {
+        return times(count, function() {
+            return pick(WORDS);
+        }).join(' ');
+    }
+
+    function sentence() {
+        var value = words(integer(4, 10));
+
+        return value.charAt(0).toUpperCase() + value.substr(1) + '.';
+    }
+
+    var fake = {
+        name: {
+            firstName: function() {
+                return pick(FIRST_NAMES);
+            },
+            lastName: function() {
+                return pick(LAST_NAMES);
+            },
+            fullName: function() {
+                return fake.name.firstName() + ' ' + fake.name.lastName();
+            }
+        },
+        internet: {
+            email: function(firstName, lastName) {
+                firstName = firstName || fake.name.firstName();
+                lastName = lastName || fake.name.lastName();
+
+                return (firstName + '.' + lastName + integer(1, 999)).toLowerCase() + '@' + pick(DOMAINS);
+            }
+        },
+        lorem: {
+            word: function() {
+                return pick(WORDS);
+            },
+            words: function(count) {
+                return words(count || 3);
+            },
+            sentence: sentence,
+            paragraph: function(count) {
+                return times(count || 3, sentence).join(' ');
+            }
+        },
+        date: {
+            between: function(from, to) {
+                from = new Date(from).getTime();
+                to = new Date(to).getTime();
+
+                return new Date(from + Math.floor(random() * (to - from)));
+            }
+        },
+        number: {
+            int: function(min, max) {
+                return integer(min === undefined ? 0 : min, max === undefined ? 100 : max);
+            },
+            float: function(min, max, decimals) {
+                min = min === undefined ? 0 : min;
+                max = max === undefined ? 1 : max;
+
+                return Number((min + random() * (max - min)).toFixed(decimals === undefined ? 2 : decimals));
+            }
+        },
+        random: {
+            boolean: function() {
+                return random() < 0.5;
+            },
+            pick: pick
+        },
+        objectId: function() {
+            /* global ObjectId */
+            return new ObjectId(times(24, function() {
+                return integer(0, 15).toString(16);
+            }).join(''));
+        }
+    };
+
+    return fake;
+}
+
+/**
+ * Creates the fake data helpers in a sandbox of their own, so that the helpers are no objects of the host
+ * process and can be passed to the context of an expression like any other object.
+ *
+ * @param  {Number} seed [optional] The seed of the random generator. If no seed is provided, a random one is used.
+ * @return {Object}      The fake data helpers.
+ */
+module.exports = function(seed) {
+    var sandbox = createSandbox({ObjectId: mongoose.Types.ObjectId});
+
+    return vm.runInContext('(' + createHelpers + ')', sandbox.context)(seed === undefined ? Math.floor(Math.random() * 4294967296) : seed);
+};
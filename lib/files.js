@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * This module loads seed data from JSON, JavaScript and YAML files and merges
+ * them into one data set.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var fs = require('fs'),
+    path = require('path'),
+    glob = require('glob'),
+    yaml = require('js-yaml'),
+    _ = require('lodash');
+
+// The extensions of the files that can be loaded
+var EXTENSIONS = ['.json', '.js', '.yaml', '.yml'];
+
+/**
+ * This method finds all the files that match the patterns. If a pattern is a directory,
+ * all the files in that directory with a supported extension are used.
+ *
+ * @param  {String|Array} patterns The glob patterns or directories.
+ * @return {Promise}               The sorted list of absolute file paths.
+ */
+function find(patterns) {
+    return Promise.all(_.map([].concat(patterns), function(pattern) {
+        if(fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+            pattern = path.join(pattern, '**', '*.{' + _.map(EXTENSIONS, function(ext) { return ext.substr(1); }).join(',') + '}');
+        }
+
+        return new Promise(function(resolve, reject) {
+            glob(pattern, {nodir: true, absolute: true}, function(err, files) {
+                return err ? reject(err) : resolve(files);
+            });
+        });
+    })).then(function(files) {
+        return _.filter(_.uniq(_.flatten(files)).sort(), function(file) {
+            return EXTENSIONS.indexOf(path.extname(file)) !== -1;
+        });
+    });
+}
+
+/**
+ * This method reads the data of one file. A JavaScript file can export the data, a promise
+ * or a (asynchronous) function that returns the data.
+ *
+ * @param  {String}  file The absolute path of the file.
+ * @return {Promise}      The data in the file.
+ */
+function read(file) {
+    return new Promise(function(resolve) {
+        var ext = path.extname(file);
+
+        if(ext === '.js') {
+            var value = require(file);
+
+            return resolve(_.isFunction(value) ? value() : value);
+        }
+
+        var content = fs.readFileSync(file, 'utf8');
+
+        resolve(ext === '.json' ? JSON.parse(content) : yaml.safeLoad(content, {filename: file}));
+    }).then(function(data) {
+        data = _.cloneDeep(data || {});
+
+        _.forEach(data._dependencies || {}, function(value, key) {
+            // Resolve the dependency relative to the fixture file
+            data._dependencies[key] = require.resolve(value, {paths: [path.dirname(file)]});
+        });
+
+        return data;
+    });
+}
+
+/**
+ * This method merges the data sets of all the files. Collections that are defined in
+ * multiple files are merged, but a document can only be defined once.
+ *
+ * @param  {Array}  files The list of files.
+ * @param  {Array}  sets  The data set of every file.
+ * @return {Object}       The merged data set.
+ */
+function merge(files, sets) {
+    var result = {},
+        origins = {},
+        profiles = {};
+
+    function collision(key, file) {
+        return new Error('\'' + key + '\' is defined in both \'' + origins[key] + '\' and \'' + file + '\'.');
+    }
+
+    _.forEach(sets, function(data, index) {
+        var file = files[index];
+
+        _.forEach(data, function(collection, name) {
+            if(name === '_profiles') {
+                // A profile can be split over multiple files as well
+                return _.forEach(collection, function(overlay, profile) {
+                    profiles[profile] = profiles[profile] || {files: [], sets: []};
+                    profiles[profile].files.push(file);
+                    profiles[profile].sets.push(overlay);
+                });
+            }
+
+            if(collection === null) {
+                // A profile removes the collection
+                if(_.has(result, name)) {
+                    throw collision(name, file);
+                }
+
+                result[name] = null;
+                origins[name] = file;
+
+                return;
+            }
+
+            if(!result[name]) {
+                result[name] = {};
+            }
+
+            _.forEach(collection, function(value, key) {
+                var id = name + '.' + key;
+
+                if(_.has(result[name], key)) {
+                    if(key === '_model' && result[name][key] === value) {
+                        // The same collection can be split over multiple files
+                        return;
+                    }
+
+                    if(name === '_dependencies' && result[name][key] === value) {
+                        // The same dependency can be used by multiple files
+                        return;
+                    }
+
+                    throw collision(id, file);
+                }
+
+                result[name][key] = value;
+                origins[id] = file;
+            });
+        });
+    });
+
+    if(!_.isEmpty(profiles)) {
+        result._profiles = _.mapValues(profiles, function(profile) {
+            return merge(profile.files, profile.sets);
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Loads all the files that match the patterns and merges them into one data set.
+ *
+ * @param  {String|Array} patterns The glob patterns or directories of the files.
+ * @return {Promise}               The merged data set.
+ */
+module.exports = function(patterns) {
+    return find(patterns).then(function(files) {
+        if(files.length === 0) {
+            throw new Error('No seed files found that match \'' + [].concat(patterns).join('\', \'') + '\'.');
+        }
+
+        return Promise.all(_.map(files, read)).then(function(sets) {
+            return merge(files, sets);
+        });
+    });
+};
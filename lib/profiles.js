@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * This module merges the overlays in the `_profiles` section of the seed data into the base data.
+ * Every value remembers the layer it came from, so that the merged data can be inspected.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var _ = require('lodash');
+
+/**
+ * Applies the profiles to the data. A profile can add collections, documents and properties, override
+ * them or remove them by setting them to `null`. Objects are merged, all other values, including arrays,
+ * are replaced.
+ *
+ * @param  {Object}       data    The seed data with the `_profiles` section.
+ * @param  {String|Array} profile [optional] The name of the profile, or the list of profiles that are applied in order.
+ *                                If no profile is provided, the profile with the name of `NODE_ENV` is used if it exists.
+ * @return {Object}               The merged data. The `_origins` property holds the layer of every value by its path.
+ */
+module.exports = function(data, profile) {
+    var profiles = data._profiles || {},
+        origins = {},
+        names;
+
+    // Remove the profiles property
+    delete data._profiles;
+
+    if(profile === undefined) {
+        // The environment only selects a profile if the data defines it
+        names = _.filter(_.compact([process.env.NODE_ENV]), function(name) {
+            return _.has(profiles, name);
+        });
+    }
+    else {
+        names = _.compact([].concat(profile));
+
+        _.forEach(names, function(name) {
+            if(!_.has(profiles, name)) {
+                throw new Error('Profile \'' + name + '\' does not exist.');
+            }
+        });
+    }
+
+    function mark(value, path, layer) {
+        if(_.isPlainObject(value) && !_.isEmpty(value)) {
+            _.forEach(value, function(item, key) {
+                mark(item, path ? path + '.' + key : key, layer);
+            });
+        }
+        else if(value !== undefined) {
+            origins[path] = layer;
+        }
+    }
+
+    function overlay(target, layer, path, name) {
+        _.forEach(layer, function(value, key) {
+            var location = path ? path + '.' + key : key;
+
+            if(!_.isPlainObject(value) || !_.isPlainObject(target[key])) {
+                // Forget the layers of the values that are replaced
+                _.forEach(_.keys(origins), function(item) {
+                    if(item === location || item.indexOf(location + '.') === 0) {
+                        delete origins[item];
+                    }
+                });
+            }
+
+            if(value === null) {
+                delete target[key];
+            }
+            else if(_.isPlainObject(value) && _.isPlainObject(target[key])) {
+                return overlay(target[key], value, location, name);
+            }
+            else {
+                target[key] = _.cloneDeep(value);
+            }
+
+            mark(target[key], location, name);
+        });
+    }
+
+    mark(data, '', 'base');
+
+    _.forEach(names, function(name) {
+        overlay(data, profiles[name], '', name);
+    });
+
+    Object.defineProperty(data, '_origins', {value: origins});
+
+    return data;
+};
@@ -0,0 +1,346 @@
+'use strict';
+
+/**
+ * This module creates the contexts in which the expressions run. The objects of the host process are
+ * never passed to a context as they are, but wrapped in a proxy that wraps everything that is read from
+ * them as well. The constructors that compile code from strings are never handed out, so that code in
+ * the context can not reach the host process through the constructor of an object or a function.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var vm = require('vm'),
+    _ = require('lodash'),
+    objectAssign = require('object-assign');
+
+// The constructors of the host process that compile code from strings
+var COMPILERS = [Function].concat(vm.runInThisContext('[(function*() {}).constructor, (async function() {}).constructor, (async function*() {}).constructor]'));
+
+// The name of the global variable that is used to run a method of the host process in a context
+var CALL = '__seederCall__';
+
+// Maps the proxies of all the contexts to the objects they wrap
+var targets = new WeakMap();
+
+/**
+ * Tests if the value is an object or a function.
+ *
+ * @param  {*}       value The value that should be tested.
+ * @return {Boolean}       True if the value is an object or a function.
+ */
+function isObject(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+/**
+ * Creates a context in which code can not be generated from strings. The callbacks of the promises in the
+ * context run in its own queue, so that the timeout of the code that runs in the context also covers them.
+ *
+ * @param  {Object} globals [optional] The global variables of the context. The values are wrapped.
+ * @param  {Object} options [optional] The options of the context. The timeout is the number of milliseconds code in the context may run.
+ * @return {Object}         The sandbox with the context and the methods to run code in it.
+ */
+module.exports = function(globals, options) {
+    var timeout = options && options.timeout,
+        proxies = new WeakMap(),
+        callbacks = new WeakMap(),
+        functions = new WeakMap(),
+        thrown = new WeakSet(),
+        depth = 0;
+
+    var ctx = vm.createContext({}, {
+        codeGeneration: {strings: false},
+        microtaskMode: 'afterEvaluate'
+    });
+
+    /**
+     * Runs the method while code of the context is running, so that the timeout also covers the code of
+     * the context the method calls. If code of the context is already running, the method is called directly.
+     *
+     * @param  {Function} method The method that should be called.
+     * @return {*}               The result of the method.
+     */
+    function timed(method) {
+        if(depth > 0) {
+            return method();
+        }
+
+        var result,
+            called = false;
+
+        Object.defineProperty(ctx, CALL, {configurable: true, value: wrap(function() {
+            if(!called) {
+                called = true;
+                result = method();
+            }
+        })});
+
+        depth++;
+
+        try {
+            vm.runInContext(CALL + '()', ctx, {timeout: timeout});
+        }
+        catch(err) {
+            // An error of the host process is wrapped when it is thrown in the context
+            throw targets.has(err) ? targets.get(err) : err;
+        }
+        finally {
+            depth--;
+
+            delete ctx[CALL];
+        }
+
+        return result;
+    }
+
+    /**
+     * Runs the trap of a proxy and wraps the error it throws, because the error is an object of the host process.
+     *
+     * @param  {Function} trap The trap of the proxy.
+     * @return {Function}      The trap that wraps the errors.
+     */
+    function guard(trap) {
+        return function() {
+            try {
+                return trap.apply(undefined, arguments);
+            }
+            catch(err) {
+                throw wrap(err);
+            }
+        };
+    }
+
+    /**
+     * Creates the proxy of an object of the host process. The target of the proxy is an empty object of
+     * the same kind, so that the proxy of an array is an array and the proxy of a function can be called.
+     * The properties that can not be configured are copied to the target, because the proxy has to report
+     * them in the same way.
+     *
+     * @param  {Object} object The object of the host process.
+     * @return {Proxy}         The proxy of the object.
+     */
+    function createProxy(object) {
+        var shadow = _.isFunction(object) ? function() {}.bind() : (_.isArray(object) ? [] : {});
+
+        return new Proxy(shadow, _.mapValues({
+            get: function(shadow, key) {
+                return wrap(Reflect.get(object, key));
+            },
+            set: function(shadow, key, value) {
+                return Reflect.set(object, key, unwrap(value));
+            },
+            has: function(shadow, key) {
+                return Reflect.has(object, key);
+            },
+            deleteProperty: function(shadow, key) {
+                return Reflect.deleteProperty(object, key);
+            },
+            ownKeys: function() {
+                return Reflect.ownKeys(object);
+            },
+            getOwnPropertyDescriptor: function(shadow, key) {
+                var descriptor = Reflect.getOwnPropertyDescriptor(object, key);
+
+                if(descriptor === undefined) {
+                    return undefined;
+                }
+
+                _.forEach(['value', 'get', 'set'], function(name) {
+                    if(_.has(descriptor, name)) {
+                        descriptor[name] = wrap(descriptor[name]);
+                    }
+                });
+
+                if(!descriptor.configurable) {
+                    Object.defineProperty(shadow, key, descriptor);
+                }
+
+                return descriptor;
+            },
+            defineProperty: function() {
+                return false;
+            },
+            getPrototypeOf: function() {
+                return wrap(Reflect.getPrototypeOf(object));
+            },
+            setPrototypeOf: function() {
+                return false;
+            },
+            preventExtensions: function() {
+                return false;
+            },
+            apply: function(shadow, self, args) {
+                return wrap(Reflect.apply(object, unwrap(self), _.map(args, unwrap)));
+            },
+            construct: function(shadow, args) {
+                return wrap(Reflect.construct(object, _.map(args, unwrap)));
+            }
+        }, guard));
+    }
+
+    /**
+     * Wraps a value of the host process so that it can be passed to the context. Primitive values are passed
+     * as they are, the constructors that compile code are left out and objects are wrapped in a proxy.
+     *
+     * @param  {*} value The value of the host process.
+     * @return {*}       The value that can be used in the context.
+     */
+    function wrap(value) {
+        if(!isObject(value)) {
+            return value;
+        }
+
+        if(functions.has(value)) {
+            // A function of the context that was passed to the host process before
+            return functions.get(value);
+        }
+
+        if(thrown.has(value)) {
+            // A value of the context that is thrown through the host process
+            return value;
+        }
+
+        if(targets.has(value)) {
+            if(proxies.get(targets.get(value)) === value) {
+                return value;
+            }
+
+            // The proxy of another context is replaced by a proxy of this context
+            value = targets.get(value);
+        }
+
+        if(COMPILERS.indexOf(value) !== -1) {
+            return undefined;
+        }
+
+        if(!proxies.has(value)) {
+            var proxy = createProxy(value);
+
+            proxies.set(value, proxy);
+            targets.set(proxy, value);
+        }
+
+        return proxies.get(value);
+    }
+
+    /**
+     * Unwraps a value of the context so that it can be used by the host process. The proxies are replaced by
+     * the objects they wrap and the functions are wrapped, so that they receive wrapped values and are covered
+     * by the timeout when the host process calls them. Promises are replaced by promises of the host process,
+     * dates, regular expressions and errors by their copy and other objects by a plain copy of their properties.
+     *
+     * @param  {*}   value The value of the context.
+     * @param  {Map} seen  [optional] The objects that are already copied.
+     * @return {*}         The value that can be used by the host process.
+     */
+    function unwrap(value, seen) {
+        if(!isObject(value)) {
+            return value;
+        }
+
+        if(targets.has(value)) {
+            return targets.get(value);
+        }
+
+        if(_.isFunction(value)) {
+            if(!callbacks.has(value)) {
+                var callback = function() {
+                    var self = this,
+                        args = arguments;
+
+                    return timed(function() {
+                        try {
+                            return unwrap(Reflect.apply(value, wrap(self), _.map(args, wrap)));
+                        }
+                        catch(err) {
+                            if(isObject(err) && !targets.has(err)) {
+                                thrown.add(err);
+                            }
+
+                            throw err;
+                        }
+                    });
+                };
+
+                callbacks.set(value, callback);
+                functions.set(callback, value);
+            }
+
+            return callbacks.get(value);
+        }
+
+        if(_.isFunction(value.then)) {
+            return new Promise(function(resolve, reject) {
+                value.then(wrap(resolve), wrap(reject));
+            });
+        }
+
+        if(_.isDate(value)) {
+            return new Date(value.getTime());
+        }
+
+        if(_.isRegExp(value)) {
+            return new RegExp(value.source, value.flags);
+        }
+
+        seen = seen || new Map();
+
+        if(seen.has(value)) {
+            return seen.get(value);
+        }
+
+        var copy = _.isArray(value) ? [] : {};
+
+        if(_.isError(value)) {
+            // The message and name of an error are not enumerable
+            copy = objectAssign(new Error(String(value.message)), {name: String(value.name)});
+        }
+
+        seen.set(value, copy);
+
+        _.forEach(Object.keys(value), function(key) {
+            copy[key] = unwrap(value[key], seen);
+        });
+
+        return copy;
+    }
+
+    _.forEach(globals, function(value, key) {
+        ctx[key] = wrap(value);
+    });
+
+    return {
+        context: ctx,
+        /**
+         * Runs the code in the context and returns the result for the host process.
+         *
+         * @param  {String} code The code that should run.
+         * @return {*}           The unwrapped result of the code.
+         */
+        run: function(code) {
+            var result;
+
+            depth++;
+
+            try {
+                result = vm.runInContext(code, ctx, {timeout: timeout});
+            }
+            catch(err) {
+                throw targets.has(err) ? targets.get(err) : err;
+            }
+            finally {
+                depth--;
+            }
+
+            if(!isObject(result)) {
+                return result;
+            }
+
+            return timed(function() {
+                return unwrap(result);
+            });
+        }
+    };
+};
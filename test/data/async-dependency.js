@@ -0,0 +1,10 @@
+'use strict';
+
+// Dependencies can export a promise, the expressions receive the value it resolves to
+module.exports = new Promise(function(resolve) {
+    setTimeout(function() {
+        resolve({
+            greeting: 'Hello'
+        });
+    }, 10);
+});
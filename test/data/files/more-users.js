@@ -0,0 +1,15 @@
+'use strict';
+
+// Seed files can export a function that returns a promise
+module.exports = function() {
+    return Promise.resolve({
+        users: {
+            _model: 'User',
+            bar: {
+                firstName: 'Bar',
+                name: 'Baz',
+                email: 'bar@baz.com'
+            }
+        }
+    });
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * This dummy schema registers the Account model with mongoose. The collection
+ * is capped and has a unique index that can be used for testing purposes.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var mongoose = require('mongoose');
+
+var Schema = mongoose.Schema;
+
+// Define the schema of the Account model
+var AccountSchema = new Schema({
+    username:           {type: String, required: true, unique: true}
+}, {capped: {size: 8192}});
+
+// This try-catch is added so that it is possible to set a watch
+// on the mocha runner. Every time the test runs, it will try
+// to create the add the model again
+try {
+    // Create the model depending on the schema
+    mongoose.model('Account', AccountSchema);
+}
+catch(e) {
+    // The model already exists
+}
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * This dummy schema registers the Admin discriminator of the User model
+ * with mongoose that can be used for testing purposes.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var mongoose = require('mongoose');
+
+// The base model has to be registered first
+require('./User');
+
+var Schema = mongoose.Schema;
+
+// Define the schema of the Admin discriminator
+var AdminSchema = new Schema({
+    permissions:        [{type: String}]
+});
+
+// This try-catch is added so that it is possible to set a watch
+// on the mocha runner. Every time the test runs, it will try
+// to create the add the model again
+try {
+    // Create the discriminator depending on the schema
+    mongoose.model('User').discriminator('Admin', AdminSchema);
+}
+catch(e) {
+    // The discriminator already exists
+}
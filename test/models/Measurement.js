@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * This dummy schema registers the Measurement model with mongoose. The collection
+ * is a time series with a collation that can be used for testing purposes.
+ *
+ * @author Sam Verschueren      <sam.verschueren@gmail.com>
+ * @since  19 Oct. 2026
+ */
+
+// module dependencies
+var mongoose = require('mongoose');
+
+var Schema = mongoose.Schema;
+
+// Define the schema of the Measurement model
+var MeasurementSchema = new Schema({
+    at:                 {type: Date, required: true},
+    source:             {type: String},
+    value:              {type: Number}
+}, {
+    timeseries: {timeField: 'at', metaField: 'source'},
+    expireAfterSeconds: 86400,
+    collation: {locale: 'en', strength: 2}
+});
+
+// This try-catch is added so that it is possible to set a watch
+// on the mocha runner. Every time the test runs, it will try
+// to create the add the model again
+try {
+    // Create the model depending on the schema
+    mongoose.model('Measurement', MeasurementSchema);
+}
+catch(e) {
+    // The model already exists
+}
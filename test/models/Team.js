@@ -22,7 +22,12 @@ var TeamSchema = new Schema({
                             user:       {type: Schema.Types.ObjectId, ref: 'User'},
                             email:      {type: String},
                             hobbies:    [{type: String}]
-                        }]
+                        }],
+    members:            [{
+                            role:       {type: String},
+                            user:       {type: Schema.Types.ObjectId, ref: 'User'}
+                        }],
+    captain:            {type: Schema.Types.ObjectId}
 });
 
 // This try-catch is added so that it is possible to set a watch
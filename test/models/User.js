@@ -22,7 +22,10 @@ var UserSchema = new Schema({
     email:              {type: String, required: true},
     birthday:           {type: Date},
     nationalities:      {type: Number},
-    hobbies:            [{type: String}]
+    hobbies:            [{type: String}],
+    team:               {type: Schema.Types.ObjectId, ref: 'Team'},
+    balance:            {type: Schema.Types.Decimal128},
+    filter:             {type: Schema.Types.Mixed}
 });
 
 // Validations
@@ -13,12 +13,14 @@
 
 // module dependencies
 var fs = require('fs'),
+    childProcess = require('child_process'),
     mongoose = require('mongoose'),
     chai = require('chai'),
     sinon = require('sinon'),
     sinonChai = require('sinon-chai'),
     moment = require('moment'),
     _ = require('lodash'),
+    Q = require('q'),
     seeder = require('../index.js');
 
 // Use the should flavour and sinon-chai
@@ -41,7 +43,7 @@ process.on('unhandledRejection', function() {});
 describe('Mongoose Seeder', function() {
     this.timeout(4000);
 
-    var simpleData, refData, evalData, dependencyData;
+    var simpleData, refData, evalData, dependencyData, forwardData, templateData, fakeData, profileData, extendedData;
 
     beforeEach(function() {
         // Clone all the data so that we can start with a clean sheet every time
@@ -49,6 +51,11 @@ describe('Mongoose Seeder', function() {
         refData = _.cloneDeep(require('./data/references.json'));
         evalData = _.cloneDeep(require('./data/expressions.json'));
         dependencyData = _.cloneDeep(require('./data/dependencies.json'));
+        forwardData = _.cloneDeep(require('./data/forward.json'));
+        templateData = _.cloneDeep(require('./data/templates.json'));
+        fakeData = _.cloneDeep(require('./data/fake.json'));
+        profileData = _.cloneDeep(require('./data/profiles.json'));
+        extendedData = _.cloneDeep(require('./data/extended.json'));
     });
 
     // Connect with the database
@@ -663,5 +670,2062 @@ describe('Mongoose Seeder', function() {
                 });
             });
         });
+
+        describe('Forward references', function() {
+
+            it('Should set the ID of a team that is defined after the user', function(done) {
+                seeder.seed(forwardData).then(function(dbData) {
+                    dbData.users.foo.team.should.be.eql(dbData.teams.teamA._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should set the ID of the user in the team if both reference each other', function(done) {
+                seeder.seed(forwardData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].user.should.be.eql(dbData.users.foo._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should fill in the property of a team that did not exist when the user was created', function(done) {
+                seeder.seed(forwardData).then(function(dbData) {
+                    dbData.users.foo.fullName.should.be.equal('Team A');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should store the filled in property in the database', function(done) {
+                seeder.seed(forwardData).then(function(dbData) {
+                    mongoose.model('User').findById(dbData.users.foo._id, function(err, user) {
+                        if(err) return done(err);
+
+                        user.fullName.should.be.equal('Team A');
+
+                        done();
+                    });
+                }).catch(done);
+            });
+        });
+
+        describe('Connections', function() {
+
+            var connection;
+
+            before(function(done) {
+                connection = mongoose.createConnection('mongodb://localhost/mongoose-seeder-tenant', done);
+            });
+
+            after(function(done) {
+                connection.db.dropDatabase(function() {
+                    connection.close(done);
+                });
+            });
+
+            it('Should create the documents in the database of the connection', function(done) {
+                seeder.createSeeder({connection: connection}).seed(simpleData).then(function(dbData) {
+                    connection.model('User').count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(1);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should not create the documents in the default database', function(done) {
+                seeder.seed(simpleData).then(function() {
+                    return seeder.createSeeder({connection: connection}).seed(simpleData, {dropDatabase: false});
+                }).then(function() {
+                    mongoose.model('User').count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(1);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should not overwrite the result of a concurrent seed', function(done) {
+                Q.all([
+                    seeder.seed(simpleData, {dropDatabase: false}),
+                    seeder.seed(refData, {dropDatabase: false})
+                ]).spread(function(simpleResult, refResult) {
+                    should.not.exist(simpleResult.teams);
+                    refResult.teams.teamA.users[0].user.should.be.eql(refResult.users.foo._id);
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Transactions', function() {
+
+            var User = mongoose.model('User');
+
+            beforeEach(function() {
+                // Make the team invalid so that the seeding fails after the user is created
+                delete refData.teams.teamA.name;
+            });
+
+            it('Should return the error of the document that could not be created', function(done) {
+                seeder.seed(refData, {transaction: true}).catch(function(err) {
+                    err.name.should.be.equal('ValidationError');
+
+                    done();
+                });
+            });
+
+            it('Should remove the documents that were created if the seeding failed', function(done) {
+                seeder.seed(simpleData).then(function() {
+                    return seeder.seed(refData, {dropDatabase: false, transaction: true});
+                }).catch(function() {
+                    User.count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(1);
+
+                        done();
+                    });
+                });
+            });
+
+            it('Should remove the documents that were written before a batch failed', function(done) {
+                simpleData.users.foo._id = {$oid: '5f1d7a3b9c1e4a0012345678'};
+
+                seeder.seed(simpleData).then(function() {
+                    var data = _.cloneDeep(require('./data/simple.json'));
+
+                    data.users.bar = _.extend({}, data.users.foo, {_id: {$oid: '5f1d7a3b9c1e4a0012345678'}});
+
+                    return seeder.seed(data, {dropDatabase: false, transaction: true, bulk: true});
+                }).catch(function(err) {
+                    err.code.should.be.equal(11000);
+
+                    User.find({}).exec(function(err, users) {
+                        if(err) return done(err);
+
+                        // Only the user that existed before the seed is left
+                        users.should.have.length(1);
+                        users[0]._id.toString().should.be.equal('5f1d7a3b9c1e4a0012345678');
+
+                        done();
+                    });
+                });
+            });
+
+            describe('Sessions', function() {
+
+                var session;
+
+                function stubServer(sandbox, info) {
+                    sandbox.stub(mongoose.connection.db, 'admin').returns({
+                        command: function(command, callback) {
+                            callback(undefined, info);
+                        }
+                    });
+
+                    // mongoose 4 does not support sessions
+                    mongoose.connection.startSession = sandbox.spy(function() {
+                        return Promise.resolve(session);
+                    });
+                }
+
+                beforeEach(function() {
+                    session = {
+                        startTransaction: sinon.spy(),
+                        commitTransaction: sinon.spy(function() {
+                            return Promise.resolve();
+                        }),
+                        abortTransaction: sinon.spy(function() {
+                            return Promise.resolve();
+                        }),
+                        endSession: sinon.spy()
+                    };
+                });
+
+                afterEach(function() {
+                    delete mongoose.connection.startSession;
+                });
+
+                it('Should commit the transaction if the server is part of a replica set', sinon.test(function(done) {
+                    stubServer(this, {setName: 'rs0'});
+
+                    seeder.seed({users: {_model: 'User'}}, {transaction: true}).then(function() {
+                        session.startTransaction.should.have.been.calledOnce;
+                        session.commitTransaction.should.have.been.calledOnce;
+                        session.abortTransaction.should.not.have.been.called;
+                        session.endSession.should.have.been.calledOnce;
+
+                        done();
+                    }).catch(done);
+                }));
+
+                it('Should abort the transaction if the seeding failed', sinon.test(function(done) {
+                    stubServer(this, {setName: 'rs0'});
+
+                    seeder.seed(refData, {
+                        transaction: true,
+                        hooks: {
+                            before: function() {
+                                throw new Error('Hook failed');
+                            }
+                        }
+                    }).then(function() {
+                        done(new Error('The seed should have failed'));
+                    }).catch(function(err) {
+                        err.message.should.contain('Hook failed');
+
+                        session.abortTransaction.should.have.been.calledOnce;
+                        session.commitTransaction.should.not.have.been.called;
+                        session.endSession.should.have.been.calledOnce;
+
+                        done();
+                    }).catch(done);
+                }));
+
+                it('Should remove the created documents if the server is not part of a replica set', sinon.test(function(done) {
+                    stubServer(this, {ismaster: true});
+
+                    seeder.seed(refData, {transaction: true}).catch(function() {
+                        mongoose.connection.startSession.should.not.have.been.called;
+
+                        User.count(function(err, count) {
+                            if(err) return done(err);
+
+                            count.should.be.equal(0);
+
+                            done();
+                        });
+                    }).catch(done);
+                }));
+            });
+
+            it('Should keep the documents that were created if the transaction option is not set', function(done) {
+                seeder.seed(simpleData).then(function() {
+                    return seeder.seed(refData, {dropDatabase: false});
+                }).catch(function() {
+                    User.count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(2);
+
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('Bulk', function() {
+
+            var User = mongoose.model('User');
+
+            it('Should insert the users with insertMany', sinon.test(function(done) {
+                this.spy(User, 'insertMany');
+                this.spy(User, 'create');
+
+                seeder.seed(refData, {bulk: true}).then(function() {
+                    User.insertMany.should.have.been.calledOnce;
+                    User.create.should.not.have.been.called;
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should pass the ordered option to insertMany', sinon.test(function(done) {
+                this.spy(User, 'insertMany');
+
+                seeder.seed(simpleData, {bulk: {ordered: false}}).then(function() {
+                    User.insertMany.should.have.been.calledWith(sinon.match.array, sinon.match({ordered: false}));
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should split the documents in batches', sinon.test(function(done) {
+                this.spy(User, 'insertMany');
+
+                simpleData.users.bar = _.clone(simpleData.users.foo);
+                simpleData.users.baz = _.clone(simpleData.users.foo);
+
+                seeder.seed(simpleData, {bulk: {batchSize: 2}}).then(function() {
+                    User.insertMany.should.have.been.calledTwice;
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should use the create method if hooks are turned on', sinon.test(function(done) {
+                this.spy(User, 'insertMany');
+                this.spy(User, 'create');
+
+                seeder.seed(simpleData, {bulk: {hooks: true}}).then(function() {
+                    User.create.should.have.been.calledOnce;
+                    User.insertMany.should.not.have.been.called;
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should set the correct ID of the user in the team', function(done) {
+                seeder.seed(refData, {bulk: true}).then(function(dbData) {
+                    dbData.teams.teamA.users[0].user.should.be.eql(dbData.users.foo._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if the validation failed', function(done) {
+                delete simpleData.users.foo.email;
+
+                seeder.seed(simpleData, {bulk: {ordered: false}}).catch(function(err) {
+                    err.name.should.be.equal('ValidationError');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Upsert', function() {
+
+            var User = mongoose.model('User');
+
+            beforeEach(function() {
+                simpleData.users._upsertBy = ['email'];
+            });
+
+            it('Should not create a second user if a user with the same email exists', function(done) {
+                seeder.seed(simpleData).then(function() {
+                    return seeder.seed(simpleData, {dropDatabase: false});
+                }).then(function() {
+                    User.count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(1);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should update the existing user', function(done) {
+                seeder.seed(simpleData).then(function(dbData) {
+                    simpleData.users.foo.name = 'Baz';
+
+                    return seeder.seed(simpleData, {dropDatabase: false}).then(function(result) {
+                        result.users.foo._id.should.be.eql(dbData.users.foo._id);
+                        result.users.foo.name.should.be.equal('Baz');
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should keep the properties that are not in the seed data', function(done) {
+                seeder.seed(simpleData).then(function(dbData) {
+                    return User.update({_id: dbData.users.foo._id}, {$set: {hobbies: ['cycling']}}).exec();
+                }).then(function() {
+                    return seeder.seed(simpleData, {dropDatabase: false});
+                }).then(function(dbData) {
+                    dbData.users.foo.hobbies.should.have.length(1);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should restore the updated user if the seeding failed', function(done) {
+                seeder.seed(simpleData).then(function() {
+                    refData.users._upsertBy = ['email'];
+                    refData.users.foo.name = 'Baz';
+
+                    // Make the team invalid so that the seeding fails after the user is updated
+                    delete refData.teams.teamA.name;
+
+                    return seeder.seed(refData, {dropDatabase: false, transaction: true});
+                }).catch(function() {
+                    User.find({}).exec(function(err, users) {
+                        if(err) return done(err);
+
+                        users.should.have.length(1);
+                        users[0].name.should.be.equal('Bar');
+
+                        done();
+                    });
+                });
+            });
+
+            it('Should create the user if it does not exist', function(done) {
+                seeder.seed(simpleData).then(function(dbData) {
+                    dbData.users.foo.email.should.be.equal('foo@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if the document does not have a value for the upsert field', function(done) {
+                simpleData.users._upsertBy = ['fullName'];
+
+                seeder.seed(simpleData).catch(function(err) {
+                    err.message.should.contain('fullName');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Files', function() {
+
+            var filesPath = __dirname + '/data/files';
+
+            it('Should seed all the files in the directory', function(done) {
+                seeder.seedFiles(filesPath).then(function(dbData) {
+                    Object.keys(dbData.users).should.have.length(2);
+                    dbData.teams.teamA.users[0].user.should.be.eql(dbData.users.foo._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should seed the files that match the glob pattern', function(done) {
+                seeder.seedFiles(filesPath + '/*.json').then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo']);
+                    should.not.exist(dbData.teams);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should resolve the dependencies relative to the seed file', function(done) {
+                seeder.seedFiles(filesPath + '/users.json').then(function(dbData) {
+                    dbData.users.foo.birthday.should.be.eql(moment('1988-07-25').toDate());
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should call the callback with the result', function(done) {
+                seeder.seedFiles(filesPath, function(err, dbData) {
+                    if(err) return done(err);
+
+                    should.exist(dbData.users.bar);
+
+                    done();
+                });
+            });
+
+            it('Should return an error with both file names if a document is defined twice', function(done) {
+                seeder.seedFiles([filesPath + '/users.json', __dirname + '/data/simple.json']).catch(function(err) {
+                    err.message.should.contain('users.json');
+                    err.message.should.contain('simple.json');
+
+                    done();
+                });
+            });
+
+            it('Should return an error if no files are found', function(done) {
+                seeder.seedFiles(filesPath + '/*.txt').catch(function(err) {
+                    should.exist(err);
+
+                    done();
+                });
+            });
+        });
+
+        describe('Command-line interface', function() {
+
+            var bin = __dirname + '/../bin/mongoose-seeder.js';
+
+            function run(args, done) {
+                childProcess.execFile(process.execPath, [bin].concat(args), function(err, stdout, stderr) {
+                    done(err ? err.code : 0, stdout, stderr);
+                });
+            }
+
+            it('Should exit with a non-zero code if no URI is provided', function(done) {
+                run(['--models', __dirname + '/models', __dirname + '/data/simple.json'], function(code) {
+                    code.should.be.equal(1);
+
+                    done();
+                });
+            });
+
+            it('Should print a summary of the created documents', function(done) {
+                run(['--uri', 'mongodb://localhost/mongoose-seeder', '--models', __dirname + '/models', __dirname + '/data/references.json'], function(code, stdout) {
+                    code.should.be.equal(0);
+                    stdout.should.contain('users: 1 document(s) created');
+                    stdout.should.contain('teams: 1 document(s) created');
+
+                    done();
+                });
+            });
+
+            it('Should exit with a non-zero code and print the error if the seeding failed', function(done) {
+                run(['--uri', 'mongodb://localhost/mongoose-seeder', '--models', __dirname + '/models', __dirname + '/data/forward.json', __dirname + '/data/simple.json'], function(code, stdout, stderr) {
+                    code.should.be.equal(1);
+                    stderr.should.contain('users.foo');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Templates', function() {
+
+            it('Should generate the number of documents of the repeat property', function(done) {
+                seeder.seed(templateData).then(function(dbData) {
+                    Object.keys(dbData.users).should.have.length(6);
+                    should.exist(dbData.users.user_1);
+                    should.exist(dbData.users.user_5);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should make the index available in the expressions of generated documents', function(done) {
+                seeder.seed(templateData).then(function(dbData) {
+                    dbData.users.user_2.email.should.be.equal('user2@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should merge the document with the template it extends', function(done) {
+                seeder.seed(templateData).then(function(dbData) {
+                    dbData.users.boss.firstName.should.be.equal('Foo');
+                    dbData.users.boss.name.should.be.equal('Admin');
+                    dbData.users.boss.email.should.be.equal('boss@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should replace the arrays of the template', function(done) {
+                seeder.seed(templateData).then(function(dbData) {
+                    dbData.users.boss.hobbies.toObject().should.be.eql(['running']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should be possible to reference a generated document', function(done) {
+                seeder.seed(templateData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].user.should.be.eql(dbData.users.user_3._id);
+                    dbData.teams.teamA.users[0].email.should.be.equal('user3@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if the template does not exist', function(done) {
+                templateData.users.boss._extends = 'unknown';
+
+                seeder.seed(templateData).catch(function(err) {
+                    err.message.should.contain('unknown');
+
+                    done();
+                });
+            });
+
+            it('Should return an error if a template extends itself', function(done) {
+                templateData._templates.baseUser._extends = 'admin';
+
+                seeder.seed(templateData).catch(function(err) {
+                    should.exist(err);
+
+                    done();
+                });
+            });
+        });
+
+        describe('Fake data', function() {
+
+            it('Should generate an email address', function(done) {
+                seeder.seed(fakeData).then(function(dbData) {
+                    dbData.users.foo.email.should.match(/^[a-z.0-9]+@example\.(com|org|net)$/);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should generate a date in the range', function(done) {
+                seeder.seed(fakeData).then(function(dbData) {
+                    dbData.users.foo.birthday.should.be.within(new Date('1980-01-01'), new Date('2000-01-01'));
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should generate a number in the range', function(done) {
+                seeder.seed(fakeData).then(function(dbData) {
+                    dbData.users.foo.nationalities.should.be.within(1, 3);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should generate the same values if the same seed is used', function(done) {
+                seeder.seed(_.cloneDeep(fakeData), {fakeSeed: 42}).then(function(first) {
+                    return seeder.seed(fakeData, {fakeSeed: 42}).then(function(second) {
+                        second.users.foo.firstName.should.be.equal(first.users.foo.firstName);
+                        second.users.foo.email.should.be.equal(first.users.foo.email);
+                        second.users.foo.birthday.should.be.eql(first.users.foo.birthday);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should not overwrite a dependency with the same name', function(done) {
+                simpleData._dependencies = {fake: 'moment'};
+                simpleData.users.foo.birthday = '=fake(\'1988-07-25\')';
+
+                seeder.seed(simpleData).then(function(dbData) {
+                    dbData.users.foo.birthday.should.be.eql(moment('1988-07-25').toDate());
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Strict expressions', function() {
+
+            it('Should return an error if the expression could not be processed', function(done) {
+                evalData.users.foo.birthday = '=new Dat()';
+
+                seeder.seed(evalData, {strictExpressions: true}).catch(function(err) {
+                    err.message.should.contain('=new Dat()');
+                    err.message.should.contain('users.foo.birthday');
+                    err.message.should.contain('Dat is not defined');
+
+                    done();
+                });
+            });
+
+            it('Should add the location of the expression to the error', function(done) {
+                evalData.users.foo.birthday = '=new Dat()';
+
+                seeder.seed(evalData, {strictExpressions: true}).catch(function(err) {
+                    err.collection.should.be.equal('users');
+                    err.document.should.be.equal('foo');
+                    err.path.should.be.equal('birthday');
+                    err.expression.should.be.equal('=new Dat()');
+
+                    done();
+                });
+            });
+
+            it('Should not create the user', sinon.test(function(done) {
+                this.spy(mongoose.model('User'), 'create');
+                evalData.users.foo.birthday = '=new Dat()';
+
+                seeder.seed(evalData, {strictExpressions: true}).catch(function() {
+                    mongoose.model('User').create.should.not.have.been.called;
+
+                    done();
+                });
+            }));
+
+            it('Should report the expression as a warning if strict mode is turned off', function(done) {
+                evalData.users.foo.fullName = '=firstName + \' \' + name';
+
+                seeder.seed(evalData).then(function(dbData) {
+                    dbData._warnings.should.have.length(1);
+                    dbData._warnings[0].path.should.be.equal('fullName');
+                    dbData._warnings[0].expression.should.be.equal('=firstName + \' \' + name');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should not add the warnings as a collection', function(done) {
+                evalData.users.foo.fullName = '=firstName + \' \' + name';
+
+                seeder.seed(evalData).then(function(dbData) {
+                    Object.keys(dbData).should.be.eql(['users']);
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Validation', function() {
+
+            it('Should not return problems for valid data', function() {
+                seeder.validate(refData).should.be.eql([]);
+            });
+
+            it('Should return a problem if the model does not exist', function() {
+                simpleData.users._model = 'Users';
+
+                var problems = seeder.validate(simpleData);
+
+                problems.should.have.length(1);
+                problems[0].collection.should.be.equal('users');
+            });
+
+            it('Should return a problem if a referenced collection has a model that does not exist', function() {
+                refData.users._model = 'Users';
+
+                var problems = seeder.validate(refData);
+
+                problems.should.have.length(1);
+                problems[0].collection.should.be.equal('users');
+            });
+
+            it('Should reject a dry run if a referenced collection has a model that does not exist', function(done) {
+                refData.users._model = 'Users';
+
+                seeder.seed(refData, {dryRun: true}).catch(function(err) {
+                    err.problems.should.have.length(1);
+
+                    done();
+                });
+            });
+
+            it('Should return a problem if the _model property went missing', function() {
+                delete simpleData.users._model;
+
+                seeder.validate(simpleData).should.have.length(1);
+            });
+
+            it('Should return a problem if the document of a reference does not exist', function() {
+                refData.teams.teamA.users[0].email = '->users.fooo.email';
+
+                var problems = seeder.validate(refData);
+
+                problems.should.have.length(1);
+                problems[0].message.should.contain('->users.fooo.email');
+            });
+
+            it('Should return a problem if the property of a reference does not exist', function() {
+                refData.teams.teamA.users[0].email = '->users.foo.mail';
+
+                seeder.validate(refData)[0].message.should.contain('mail');
+            });
+
+            it('Should return a problem with the path of a document that is not valid', function() {
+                delete refData.users.foo.email;
+
+                var problems = seeder.validate(refData);
+
+                _.find(problems, {document: 'foo', path: 'email'}).should.exist;
+            });
+
+            it('Should return all the problems', function() {
+                delete refData.users.foo.email;
+                delete refData.teams.teamA.name;
+                refData.teams.teamA.users[0].user = '->users.bar';
+
+                seeder.validate(refData).length.should.be.at.least(3);
+            });
+
+            it('Should not touch the database in a dry run', sinon.test(function(done) {
+                this.spy(mongoose.connection.db, 'dropDatabase');
+                this.spy(mongoose.model('User'), 'create');
+
+                seeder.seed(simpleData, {dryRun: true}).then(function() {
+                    mongoose.connection.db.dropDatabase.should.not.have.been.called;
+                    mongoose.model('User').create.should.not.have.been.called;
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should return an error with the problems in a dry run', function(done) {
+                delete simpleData.users.foo.email;
+
+                seeder.seed(simpleData, {dryRun: true}).catch(function(err) {
+                    err.problems.should.have.length(1);
+                    err.message.should.contain('users.foo.email');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Unseed', function() {
+
+            var User = mongoose.model('User'),
+                Team = mongoose.model('Team');
+
+            it('Should remove the documents that were created', function(done) {
+                seeder.seed(refData).then(function(dbData) {
+                    return seeder.unseed(dbData);
+                }).then(function() {
+                    Team.count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(0);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should keep the documents that were not created by the seed', function(done) {
+                seeder.seed(simpleData).then(function() {
+                    return seeder.seed(refData, {dropDatabase: false});
+                }).then(function(dbData) {
+                    return seeder.unseed(dbData);
+                }).then(function() {
+                    User.count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(1);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should keep the documents that were updated because of the upsert', function(done) {
+                simpleData.users._upsertBy = 'email';
+
+                seeder.seed(simpleData).then(function() {
+                    return seeder.seed(simpleData, {dropDatabase: false});
+                }).then(function(dbData) {
+                    return seeder.unseed(dbData);
+                }).then(function() {
+                    User.count(function(err, count) {
+                        if(err) return done(err);
+
+                        count.should.be.equal(1);
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should remove the teams before the users they reference', sinon.test(function(done) {
+                this.spy(User, 'remove');
+                this.spy(Team, 'remove');
+
+                seeder.seed(refData).then(function(dbData) {
+                    return seeder.unseed(dbData);
+                }).then(function() {
+                    Team.remove.should.have.been.calledBefore(User.remove);
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should call the callback when the documents are removed', function(done) {
+                seeder.seed(simpleData).then(function(dbData) {
+                    seeder.unseed(dbData, done);
+                }).catch(done);
+            });
+        });
+
+        describe('Export', function() {
+
+            it('Should export the documents with the _model property', function(done) {
+                seeder.seed(refData).then(function() {
+                    return seeder.export({models: ['User', 'Team']});
+                }).then(function(data) {
+                    data.users._model.should.be.equal('User');
+                    data.users.user_1.email.should.be.equal('foo@bar.com');
+                    should.not.exist(data.users.user_1._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should rewrite the ObjectId of an exported document to a reference', function(done) {
+                seeder.seed(refData).then(function() {
+                    return seeder.export({models: ['User', 'Team']});
+                }).then(function(data) {
+                    data.teams.team_1.users[0].user.should.be.equal('->users.user_1');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should only export the documents that match the query', function(done) {
+                simpleData.users.bar = _.extend({}, simpleData.users.foo, {email: 'bar@bar.com'});
+
+                seeder.seed(simpleData).then(function() {
+                    return seeder.export({models: ['User'], query: {User: {email: 'bar@bar.com'}}});
+                }).then(function(data) {
+                    Object.keys(data.users).should.be.eql(['_model', 'user_1']);
+                    data.users.user_1.email.should.be.equal('bar@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should keep the _id properties if the keepIds option is set', function(done) {
+                seeder.seed(simpleData).then(function(dbData) {
+                    return seeder.export({models: ['User'], keepIds: true}).then(function(data) {
+                        data.users.user_1._id.should.be.equal(dbData.users.foo._id.toString());
+
+                        done();
+                    });
+                }).catch(done);
+            });
+
+            it('Should produce the same graph when the export is seeded again', function(done) {
+                seeder.seed(forwardData).then(function() {
+                    return seeder.export({models: ['User', 'Team']});
+                }).then(function(data) {
+                    return seeder.seed(data);
+                }).then(function(dbData) {
+                    dbData.users.user_1.team.should.be.eql(dbData.teams.team_1._id);
+                    dbData.teams.team_1.users[0].user.should.be.eql(dbData.users.user_1._id);
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Reference syntax', function() {
+
+            beforeEach(function() {
+                refData.users.bar = {
+                    firstName: 'Bar',
+                    name: 'Bar',
+                    email: 'bar@bar.com'
+                };
+            });
+
+            it('Should find the user by the value of a field', function(done) {
+                refData.teams.teamA.users[0].user = '->users[email=bar@bar.com]';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].user.should.be.eql(dbData.users.bar._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should fill in a required field with a lookup in the same collection', function(done) {
+                refData.users.bar.name = '->users[email=foo@bar.com].name';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.users.bar.name.should.be.equal('Bar');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should fill in a required field with a lookup of all the documents in the same collection', function(done) {
+                refData.users.bar.name = '=this.emails.join(", ")';
+                refData.users.bar.emails = '->users.*.email';
+
+                seeder.seed(refData, {bulk: true}).then(function(dbData) {
+                    dbData.users.bar.name.should.be.equal('foo@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should read the property of the user that is found by the value of a field', function(done) {
+                refData.teams.teamA.name = '->users[email=bar@bar.com].firstName';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.teams.teamA.name.should.be.equal('Bar');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return the IDs of all the users', function(done) {
+                refData.teams.teamA.users[0].hobbies = '->users.*';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].hobbies.toObject().should.be.eql([dbData.users.foo._id.toString(), dbData.users.bar._id.toString()]);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return the property of all the users that match the filter', function(done) {
+                refData.teams.teamA.users[0].hobbies = '->users.*[firstName=Bar].email';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].hobbies.toObject().should.be.eql(['bar@bar.com']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if multiple users match the lookup', function(done) {
+                refData.users.bar.name = 'Bar';
+                refData.users.foo.name = 'Bar';
+                refData.teams.teamA.users[0].user = '->users[name=Bar]';
+
+                seeder.seed(refData).catch(function(err) {
+                    err.message.should.contain('->users[name=Bar]');
+                    err.message.should.contain('2 items match');
+
+                    done();
+                });
+            });
+
+            it('Should return an error with the reference and the point where it failed', function(done) {
+                refData.teams.teamA.users[0].email = '->users.fooo.email';
+
+                seeder.seed(refData).catch(function(err) {
+                    err.reference.should.be.equal('->users.fooo.email');
+                    err.at.should.be.equal('users.fooo');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Query references', function() {
+
+            beforeEach(function(done) {
+                delete refData.users;
+
+                seeder.seed(simpleData).then(function() {
+                    done();
+                }).catch(done);
+            });
+
+            it('Should reference a document that already exists in the database', function(done) {
+                refData.teams.teamA.users = [{user: '->>User{"email": "foo@bar.com"}'}];
+
+                mongoose.model('User').findOne({email: 'foo@bar.com'}, function(err, user) {
+                    if(err) return done(err);
+
+                    seeder.seed(refData, {dropDatabase: false}).then(function(dbData) {
+                        dbData.teams.teamA.users[0].user.should.be.eql(user._id);
+
+                        done();
+                    }).catch(done);
+                });
+            });
+
+            it('Should return an error if no document matches the query', function(done) {
+                refData.teams.teamA.users = [{user: '->>User{"email": "nobody@bar.com"}'}];
+
+                seeder.seed(refData, {dropDatabase: false}).catch(function(err) {
+                    err.message.should.contain('->>User{"email": "nobody@bar.com"}');
+                    err.message.should.contain('matched none');
+
+                    done();
+                });
+            });
+
+            it('Should return an error if more than one document matches the query', function(done) {
+                refData.teams.teamA.users = [{user: '->>User{"name": "Bar"}'}];
+
+                seeder.seed(simpleData, {dropDatabase: false}).then(function() {
+                    return seeder.seed(refData, {dropDatabase: false});
+                }).catch(function(err) {
+                    err.message.should.contain('matched more than one');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Hooks', function() {
+
+            it('Should run the global hooks before the hooks of the model', function(done) {
+                var calls = [];
+
+                seeder.seed(refData, {
+                    hooks: {
+                        before: function(info) {
+                            calls.push('before ' + info.collection);
+                        },
+                        after: function(documents, info) {
+                            calls.push('after ' + info.collection + ' ' + Object.keys(documents).join());
+                        },
+                        models: {
+                            User: {
+                                before: function(info) {
+                                    calls.push('before User');
+                                }
+                            }
+                        }
+                    }
+                }).then(function() {
+                    calls.should.be.eql(['before users', 'before User', 'before teams', 'after users foo', 'after teams teamA']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should modify the document in a beforeEach hook', function(done) {
+                seeder.seed(refData, {
+                    hooks: {
+                        models: {
+                            User: {
+                                beforeEach: function(data, info) {
+                                    return _.extend({}, data, {firstName: info.name.toUpperCase()});
+                                }
+                            }
+                        }
+                    }
+                }).then(function(dbData) {
+                    dbData.users.foo.firstName.should.be.equal('FOO');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should skip a document if a beforeEach hook returns false', function(done) {
+                seeder.seed(simpleData, {
+                    hooks: {
+                        beforeEach: function() {
+                            return false;
+                        }
+                    }
+                }).then(function(dbData) {
+                    dbData.users.should.be.eql({});
+
+                    mongoose.model('User').count(function(err, count) {
+                        count.should.be.equal(0);
+
+                        done(err);
+                    });
+                }).catch(done);
+            });
+
+            it('Should return an error if a beforeEach hook skips a document of a reference cycle', function(done) {
+                var data = {
+                    users: {
+                        _model: 'User',
+                        a: {firstName: 'a', name: 'a', email: 'a@bar.com', team: '->teams.t'}
+                    },
+                    teams: {
+                        _model: 'Team',
+                        t: {name: 't', captain: '->users.a'}
+                    }
+                };
+
+                seeder.seed(data, {
+                    hooks: {
+                        beforeEach: function(data, info) {
+                            return info.collection !== 'teams';
+                        }
+                    }
+                }).then(function() {
+                    done(new Error('The seed should have failed'));
+                }).catch(function(err) {
+                    err.message.should.contain('teams.t');
+                    err.message.should.contain('reference cycle');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should wait for asynchronous hooks', function(done) {
+                var created = [];
+
+                seeder.seed(refData, {
+                    hooks: {
+                        beforeEach: function(data, info, callback) {
+                            setTimeout(function() {
+                                callback(undefined, _.extend(data, {name: 'Hooked'}));
+                            }, 10);
+                        },
+                        afterEach: function(doc) {
+                            return Q.delay(10).then(function() {
+                                created.push(doc.name);
+                            });
+                        }
+                    }
+                }).then(function(dbData) {
+                    created.should.be.eql(['Hooked', 'Hooked']);
+                    dbData.teams.teamA.name.should.be.equal('Hooked');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error with the name of the collection if a hook fails', function(done) {
+                seeder.seed(refData, {
+                    hooks: {
+                        models: {
+                            Team: {
+                                before: function() {
+                                    return Q.reject(new Error('Could not create the index'));
+                                }
+                            }
+                        }
+                    }
+                }).catch(function(err) {
+                    err.message.should.be.equal('The before hook of collection \'teams\' failed: Could not create the index');
+                    err.collection.should.be.equal('teams');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Progress', function() {
+
+            it('Should report the progress of the seeding', function(done) {
+                var events = [];
+
+                seeder.seed(refData, {
+                    onProgress: function(event) {
+                        events.push(event.type + (event.collection ? ' ' + event.collection : '') + (event.document ? '.' + event.document : ''));
+                    }
+                }).then(function() {
+                    events.should.be.eql([
+                        'drop',
+                        'collection:start users',
+                        'document users.foo',
+                        'collection:end users',
+                        'collection:start teams',
+                        'document teams.teamA',
+                        'collection:end teams'
+                    ]);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should report the dropped collections', function(done) {
+                var dropped = [];
+
+                seeder.seed(refData, {
+                    dropCollections: true,
+                    onProgress: function(event) {
+                        if(event.type === 'drop') {
+                            dropped.push(event.collection);
+                        }
+                    }
+                }).then(function() {
+                    dropped.should.be.eql(['users', 'teams']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should report an error', function(done) {
+                var errors = [];
+
+                delete simpleData.users.foo.email;
+
+                seeder.seed(simpleData, {
+                    onProgress: function(event) {
+                        if(event.type === 'error') {
+                            errors.push(event.error);
+                        }
+                    }
+                }).catch(function(err) {
+                    errors.should.be.eql([err]);
+
+                    done();
+                });
+            });
+
+            it('Should return a report with the counts and timings per collection', function(done) {
+                seeder.seed(refData, {
+                    hooks: {
+                        models: {
+                            Team: {
+                                beforeEach: function() {
+                                    return false;
+                                }
+                            }
+                        }
+                    }
+                }).then(function(dbData) {
+                    dbData._report.created.should.be.equal(1);
+                    dbData._report.duration.should.be.a('number');
+                    _.omit(dbData._report.collections.users, 'duration').should.be.eql({total: 1, created: 1, updated: 0, skipped: 0});
+                    dbData._report.collections.users.duration.should.be.a('number');
+                    _.omit(dbData._report.collections.teams, 'duration').should.be.eql({total: 1, created: 0, updated: 0, skipped: 1});
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Asynchronous values', function() {
+
+            it('Should return a native promise', function(done) {
+                var promise = seeder.seed(simpleData);
+
+                promise.should.be.an.instanceof(Promise);
+
+                promise.then(function() {
+                    done();
+                }).catch(done);
+            });
+
+            it('Should wait for an expression that returns a promise', function(done) {
+                simpleData.users.foo.firstName = '=Promise.resolve(this.name + "!")';
+
+                seeder.seed(simpleData).then(function(dbData) {
+                    dbData.users.foo.firstName.should.be.equal('Bar!');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should add a warning if the promise of an expression is rejected', function(done) {
+                simpleData.users.foo.firstName = '=Promise.reject(new Error("Hashing failed"))';
+
+                seeder.seed(simpleData).then(function(dbData) {
+                    dbData.users.foo.firstName.should.be.equal('=Promise.reject(new Error("Hashing failed"))');
+                    dbData._warnings[0].path.should.be.equal('firstName');
+                    dbData._warnings[0].message.should.be.equal('Hashing failed');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should handle the rejected promises of all the documents in a batch', function(done) {
+                var unhandled = [];
+
+                function listener(reason) {
+                    unhandled.push(reason);
+                }
+
+                simpleData.users.foo.firstName = '=Promise.reject(new Error("Hashing failed"))';
+                simpleData.users.bar = _.extend({}, simpleData.users.foo, {email: 'bar@bar.com'});
+
+                process.on('unhandledRejection', listener);
+
+                seeder.seed(simpleData, {bulk: true, strictExpressions: true}).catch(function(err) {
+                    err.message.should.contain('Hashing failed');
+
+                    setTimeout(function() {
+                        process.removeListener('unhandledRejection', listener);
+
+                        unhandled.should.be.eql([]);
+
+                        done();
+                    }, 10);
+                });
+            });
+
+            it('Should handle the rejected promises of a document if a later expression throws', function(done) {
+                var unhandled = [];
+
+                function listener(reason) {
+                    unhandled.push(reason);
+                }
+
+                simpleData.users.foo.firstName = '=Promise.reject(new Error("Hashing failed"))';
+                simpleData.users.foo.name = '=nope()';
+
+                process.on('unhandledRejection', listener);
+
+                seeder.seed(simpleData, {strictExpressions: true}).catch(function(err) {
+                    err.message.should.contain('users.foo.name');
+
+                    setTimeout(function() {
+                        process.removeListener('unhandledRejection', listener);
+
+                        unhandled.should.be.eql([]);
+
+                        done();
+                    }, 10);
+                });
+            });
+
+            it('Should handle the rejected promises of a batch if a later document throws', function(done) {
+                var unhandled = [];
+
+                function listener(reason) {
+                    unhandled.push(reason);
+                }
+
+                simpleData.users.foo.firstName = '=Promise.reject(new Error("Hashing failed"))';
+                simpleData.users.bar = _.extend({}, simpleData.users.foo, {firstName: 'Bar', name: '=nope()', email: 'bar@bar.com'});
+
+                process.on('unhandledRejection', listener);
+
+                seeder.seed(simpleData, {bulk: true, strictExpressions: true}).catch(function(err) {
+                    err.message.should.contain('users.bar.name');
+
+                    setTimeout(function() {
+                        process.removeListener('unhandledRejection', listener);
+
+                        unhandled.should.be.eql([]);
+
+                        done();
+                    }, 10);
+                });
+            });
+
+            it('Should return an error with the path if the promise of a strict expression is rejected', function(done) {
+                simpleData.users.foo.firstName = '=Promise.reject(new Error("Hashing failed"))';
+
+                seeder.seed(simpleData, {strictExpressions: true}).catch(function(err) {
+                    err.message.should.contain('users.foo.firstName');
+                    err.message.should.contain('Hashing failed');
+
+                    done();
+                });
+            });
+
+            it('Should wait for a dependency that exports a promise', function(done) {
+                simpleData._dependencies = {config: require.resolve('./data/async-dependency')};
+                simpleData.users.foo.firstName = '=config.greeting';
+
+                seeder.seed(simpleData).then(function(dbData) {
+                    dbData.users.foo.firstName.should.be.equal('Hello');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should not report a problem for an expression that returns a promise while validating', function() {
+                simpleData.users.foo.email = '=Promise.resolve("foo@bar.com")';
+
+                seeder.validate(simpleData).should.be.eql([]);
+            });
+        });
+
+        describe('Selection', function() {
+
+            beforeEach(function() {
+                refData.users.bar = {
+                    firstName: 'Bar',
+                    name: 'Baz',
+                    email: 'bar@baz.com'
+                };
+            });
+
+            it('Should only seed the collections provided', function(done) {
+                seeder.seed(refData, {only: ['users']}).then(function(dbData) {
+                    Object.keys(dbData).should.be.eql(['users']);
+                    Object.keys(dbData.users).should.be.eql(['foo', 'bar']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should seed the documents that are referenced by the selected documents', function(done) {
+                seeder.seed(refData, {only: 'teams'}).then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo']);
+                    dbData.teams.teamA.users[0].user.should.be.eql(dbData.users.foo._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should not seed the documents provided in the except option', function(done) {
+                seeder.seed(refData, {except: ['users.bar']}).then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo']);
+                    should.exist(dbData.teams.teamA);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should only drop the selected collections', function(done) {
+                seeder.seed(refData).then(function() {
+                    return seeder.seed(refData, {dropCollections: true, only: ['users.bar']});
+                }).then(function() {
+                    mongoose.model('User').count(function(err, users) {
+                        if(err) return done(err);
+
+                        mongoose.model('Team').count(function(err, teams) {
+                            users.should.be.equal(1);
+                            teams.should.be.equal(1);
+
+                            done(err);
+                        });
+                    });
+                }).catch(done);
+            });
+
+            it('Should return an error if a selected collection does not exist', function(done) {
+                seeder.seed(refData, {only: ['user']}).catch(function(err) {
+                    err.message.should.be.equal('\'user\' in the only option is not a collection or document of the seed data.');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Profiles', function() {
+
+            var env = process.env.NODE_ENV;
+
+            afterEach(function() {
+                if(env === undefined) {
+                    delete process.env.NODE_ENV;
+                }
+                else {
+                    process.env.NODE_ENV = env;
+                }
+            });
+
+            it('Should only seed the base data if no profile is selected', function(done) {
+                seeder.seed(profileData, {profile: null}).then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo', 'admin']);
+                    dbData.users.foo.email.should.be.equal('foo@bar.com');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should override and remove documents with the profile', function(done) {
+                seeder.seed(profileData, {profile: 'test'}).then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo']);
+                    dbData.users.foo.email.should.be.equal('foo@test.com');
+                    dbData.users.foo.firstName.should.be.equal('Foo');
+                    dbData.users.foo.hobbies.toObject().should.be.eql(['testing']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should apply the profiles in order', function(done) {
+                seeder.seed(profileData, {profile: ['test', 'demo']}).then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo', 'demo']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should select the profile with the name of NODE_ENV', function(done) {
+                process.env.NODE_ENV = 'demo';
+
+                seeder.seed(profileData).then(function(dbData) {
+                    Object.keys(dbData.users).should.be.eql(['foo', 'admin', 'demo']);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if the profile does not exist', function(done) {
+                seeder.seed(profileData, {profile: 'staging'}).catch(function(err) {
+                    err.message.should.be.equal('Profile \'staging\' does not exist.');
+
+                    done();
+                });
+            });
+
+            it('Should return the merged data with the layer of every value', function() {
+                var data = seeder.applyProfiles(profileData, {profile: 'test'});
+
+                data.users.foo.email.should.be.equal('foo@test.com');
+                should.not.exist(data.users.admin);
+                data._origins['users.foo.email'].should.be.equal('test');
+                data._origins['users.foo.firstName'].should.be.equal('base');
+                should.not.exist(data._origins['users.admin.email']);
+            });
+        });
+
+        describe('Expression policy', function() {
+
+            it('Should return an error with the path if an expression takes too long', function(done) {
+                evalData.users.foo.birthday = '=(function() { while(true) {} })()';
+
+                seeder.seed(evalData, {expressions: {timeout: 50}}).catch(function(err) {
+                    err.message.should.contain('users.foo.birthday');
+                    err.message.should.contain('timed out');
+                    err.path.should.be.equal('birthday');
+
+                    done();
+                });
+            });
+
+            it('Should return an error if the promise of an expression takes too long', function(done) {
+                evalData.users.foo.birthday = '=new Promise(function() {})';
+
+                seeder.seed(evalData, {expressions: {timeout: 50}}).catch(function(err) {
+                    err.message.should.contain('users.foo.birthday');
+                    err.message.should.contain('50ms');
+
+                    done();
+                });
+            });
+
+            it('Should return an error if a callback of the promise of an expression takes too long', function(done) {
+                evalData.users.foo.birthday = '=Promise.resolve().then(function() { while(true) {} })';
+
+                seeder.seed(evalData, {expressions: {timeout: 50}}).catch(function(err) {
+                    err.message.should.contain('users.foo.birthday');
+                    err.message.should.contain('timed out');
+
+                    done();
+                });
+            });
+
+            it('Should run the callbacks of a promise of an expression that settles later', function(done) {
+                simpleData._dependencies = {config: require.resolve('./data/async-dependency')};
+                simpleData.users.foo.fullName = '=new Promise(function(resolve) { resolve(config.greeting); }).then(function(greeting) { return greeting + " Foo"; })';
+
+                seeder.seed(simpleData, {strictExpressions: true, expressions: {timeout: 1000}}).then(function(dbData) {
+                    dbData.users.foo.fullName.should.be.equal('Hello Foo');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should not reach the process through the object of an expression', function(done) {
+                simpleData.users.foo.fullName = '=this.constructor.constructor("return process")().version';
+
+                seeder.seed(simpleData, {strictExpressions: true, expressions: {dependencies: []}}).then(function() {
+                    done(new Error('The expression should not be evaluated'));
+                }).catch(function(err) {
+                    err.message.should.contain('users.foo.fullName');
+
+                    done();
+                });
+            });
+
+            it('Should not reach the process through the fake helpers', function(done) {
+                simpleData.users.foo.fullName = '=fake.name.firstName.constructor("return process")().version';
+
+                seeder.seed(simpleData, {strictExpressions: true, expressions: {dependencies: []}}).then(function() {
+                    done(new Error('The expression should not be evaluated'));
+                }).catch(function(err) {
+                    err.message.should.contain('users.foo.fullName');
+
+                    done();
+                });
+            });
+
+            it('Should not reach the process through a dependency', function(done) {
+                simpleData._dependencies = {moment: 'moment'};
+                simpleData.users.foo.fullName = '=moment.constructor("return process")().version';
+
+                seeder.seed(simpleData, {strictExpressions: true, expressions: {dependencies: ['moment']}}).then(function() {
+                    done(new Error('The expression should not be evaluated'));
+                }).catch(function(err) {
+                    err.message.should.contain('users.foo.fullName');
+
+                    done();
+                });
+            });
+
+            it('Should not reach the process through the arguments of a callback', function(done) {
+                simpleData._dependencies = {_: 'lodash'};
+                simpleData.users.foo.fullName = '=_.map(_.range(1), function(value, index, list) { return list.constructor.constructor("return process")().version; })[0]';
+
+                seeder.seed(simpleData, {strictExpressions: true, expressions: {dependencies: ['lodash']}}).then(function() {
+                    done(new Error('The expression should not be evaluated'));
+                }).catch(function(err) {
+                    err.message.should.contain('users.foo.fullName');
+
+                    done();
+                });
+            });
+
+            it('Should pass the objects of the object of an expression as they are', function(done) {
+                var captain;
+
+                refData.teams.teamA.captain = '=this.users[0].user';
+
+                seeder.seed(refData, {
+                    hooks: {
+                        models: {
+                            Team: {
+                                beforeEach: function(data) {
+                                    captain = data.captain;
+                                }
+                            }
+                        }
+                    }
+                }).then(function(dbData) {
+                    captain.should.be.an.instanceOf(mongoose.Types.ObjectId);
+                    captain.toString().should.be.equal(dbData.users.foo._id.toString());
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should keep the dates of the object of an expression', function(done) {
+                simpleData.users.foo.birthday = {$date: '1988-07-25T00:00:00Z'};
+                simpleData.users.foo.nationalities = '=this.birthday.getUTCFullYear()';
+
+                seeder.seed(simpleData).then(function(dbData) {
+                    dbData.users.foo.nationalities.should.be.equal(1988);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should load the dependencies in the list of allowed dependencies', function(done) {
+                seeder.seed(dependencyData, {expressions: {dependencies: ['moment']}}).then(function(dbData) {
+                    dbData.users.foo.birthday.should.be.eql(moment('1988-07-25').toDate());
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if a dependency is not allowed', function(done) {
+                seeder.seed(dependencyData, {expressions: {dependencies: ['lodash']}}).catch(function(err) {
+                    err.message.should.be.equal('Could not load dependency \'_dependencies.moment\': module \'moment\' is not in the list of allowed dependencies.');
+                    err.path.should.be.equal('_dependencies.moment');
+
+                    done();
+                });
+            });
+
+            it('Should return an error with the path if expressions are disabled', function(done) {
+                simpleData.users.foo.birthday = '=new Date()';
+
+                seeder.seed(simpleData, {expressions: false}).catch(function(err) {
+                    err.message.should.contain('users.foo.birthday');
+                    err.message.should.contain('expressions are disabled');
+
+                    done();
+                });
+            });
+
+            it('Should not load the dependencies if expressions are disabled', function(done) {
+                seeder.seed(evalData, {expressions: false}).catch(function(err) {
+                    err.message.should.be.equal('Could not load dependency \'_dependencies.moment\': expressions are disabled.');
+
+                    mongoose.model('User').count(function(err, count) {
+                        count.should.be.equal(0);
+
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        describe('Extended JSON', function() {
+
+            it('Should convert the typed literals', function(done) {
+                seeder.seed(extendedData).then(function(dbData) {
+                    var user = dbData.users.foo;
+
+                    user._id.toString().should.be.equal('5f1d7a3b9c1e4a0012345678');
+                    user.birthday.should.be.eql(new Date('1988-07-25T00:00:00Z'));
+                    user.nationalities.should.be.equal(2);
+                    user.balance.toString().should.be.equal('12.34');
+                    user.filter.should.be.eql(/^foo/i);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if a $numberLong does not fit in a number', function(done) {
+                extendedData.users.foo.nationalities = {$numberLong: '9007199254740993'};
+
+                seeder.seed(extendedData).catch(function(err) {
+                    err.message.should.contain('users.foo.nationalities');
+                    err.message.should.contain('losing precision');
+
+                    done();
+                });
+            });
+
+            it('Should reference the fixed _id of a document', function(done) {
+                seeder.seed(extendedData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].user.toString().should.be.equal('5f1d7a3b9c1e4a0012345678');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should keep the fixed _id of a document that is part of a reference cycle', function(done) {
+                extendedData.users.foo.team = '->teams.teamA';
+
+                // The team is created first, with the _id of the user that is allocated in advance
+                seeder.seed({teams: extendedData.teams, users: extendedData.users}).then(function(dbData) {
+                    dbData.users.foo._id.toString().should.be.equal('5f1d7a3b9c1e4a0012345678');
+                    dbData.teams.teamA.users[0].user.toString().should.be.equal('5f1d7a3b9c1e4a0012345678');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should convert a date in the canonical format', function(done) {
+                extendedData.users.foo.birthday = {$date: {$numberLong: '585792000000'}};
+
+                seeder.seed(extendedData).then(function(dbData) {
+                    dbData.users.foo.birthday.should.be.eql(new Date(585792000000));
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error with the path if a literal is invalid', function(done) {
+                extendedData.users.foo._id = {$oid: 'foo'};
+
+                seeder.seed(extendedData).catch(function(err) {
+                    err.message.should.contain('users.foo._id');
+
+                    done();
+                });
+            });
+        });
+
+        describe('Self references', function() {
+
+            beforeEach(function() {
+                refData.users.bar = {
+                    firstName: 'Bar',
+                    name: '->users.foo.name',
+                    email: 'bar@bar.com'
+                };
+            });
+
+            it('Should reference an earlier document in the same collection', function(done) {
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.users.bar.name.should.be.equal('Bar');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should reference a later document in the same collection', function(done) {
+                refData.users.foo.fullName = '->users.bar.firstName';
+
+                seeder.seed(refData, {bulk: true}).then(function(dbData) {
+                    dbData.users.foo.fullName.should.be.equal('Bar');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should reference the _id of the document itself', function(done) {
+                refData.users.foo.team = '->self._id';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.users.foo.team.should.be.eql(dbData.users.foo._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if another property of the document itself is referenced', function(done) {
+                refData.users.foo.fullName = '->self.name';
+
+                seeder.seed(refData).catch(function(err) {
+                    err.reference.should.be.equal('->self.name');
+                    err.message.should.contain('=this.name');
+
+                    done();
+                });
+            });
+
+            it('Should evaluate an expression with the resolved references of the document', function(done) {
+                refData.teams.teamA.users[0].email = '=String(this.user)';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.teams.teamA.users[0].email.should.be.equal(dbData.users.foo._id.toString());
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should evaluate an expression with the result of an earlier expression', function(done) {
+                refData.users.foo.firstName = '="F" + "oo"';
+                refData.users.foo.fullName = '=this.firstName + " " + this.name';
+
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.users.foo.fullName.should.be.equal('Foo Bar');
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Discriminators', function() {
+
+            it('Should create the document with the discriminator model', function(done) {
+                refData.users.admin = {
+                    _discriminator: 'Admin',
+                    firstName: 'Admin',
+                    name: 'Istrator',
+                    email: 'admin@bar.com',
+                    permissions: ['write']
+                };
+
+                seeder.seed(refData, {bulk: true}).then(function(dbData) {
+                    dbData.users.admin.constructor.modelName.should.be.equal('Admin');
+                    dbData.users.admin.permissions.toObject().should.be.eql(['write']);
+                    dbData.users.foo.constructor.modelName.should.be.equal('User');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should return an error if the discriminator is not registered', function(done) {
+                refData.users.foo._discriminator = 'Owner';
+
+                seeder.seed(refData).catch(function(err) {
+                    err.message.should.be.equal('Discriminator \'Owner\' of document \'users.foo\' is not registered on model \'User\'.');
+
+                    done();
+                });
+            });
+
+            it('Should export the documents of a discriminator with the _discriminator property', function(done) {
+                refData.users.foo._discriminator = 'Admin';
+
+                seeder.seed(refData).then(function() {
+                    return seeder.export({models: ['User', 'Admin']});
+                }).then(function(data) {
+                    should.not.exist(data.admins);
+                    data.users.user_1._discriminator.should.be.equal('Admin');
+                    should.not.exist(data.users.user_1.__t);
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        describe('Named subdocuments', function() {
+
+            beforeEach(function() {
+                refData.teams.teamA.members = [
+                    {_name: 'lead', role: 'lead', user: '->users.foo'},
+                    {_name: 'backup', role: 'backup'}
+                ];
+                refData.teams.teamB = {
+                    name: 'Team B',
+                    captain: '->teams.teamA.members.lead._id'
+                };
+            });
+
+            it('Should reference a named item of an array', function(done) {
+                seeder.seed(refData).then(function(dbData) {
+                    dbData.teams.teamB.captain.should.be.eql(dbData.teams.teamA.members[0]._id);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should not store the name of the item', function(done) {
+                seeder.seed(refData).then(function(dbData) {
+                    should.not.exist(dbData.teams.teamA.members[1].toObject()._name);
+
+                    done();
+                }).catch(done);
+            });
+
+            it('Should find a problem if the named item does not exist', function() {
+                refData.teams.teamB.captain = '->teams.teamA.members.coach._id';
+
+                var problems = seeder.validate(refData);
+
+                problems.should.have.length(1);
+                problems[0].message.should.be.equal('Reference \'->teams.teamA.members.coach._id\' could not be resolved: item \'members.coach\' does not exist');
+            });
+
+            it('Should validate a reference to a named item', function() {
+                seeder.validate(refData).should.be.eql([]);
+            });
+        });
+
+        describe('Indexes', function() {
+
+            var accountData;
+
+            beforeEach(function() {
+                accountData = {
+                    accounts: {
+                        _model: 'Account',
+                        foo: {username: 'foo'},
+                        bar: {username: 'bar'}
+                    }
+                };
+            });
+
+            it('Should build the indexes of the seeded models', sinon.test(function(done) {
+                var Account = mongoose.model('Account');
+
+                this.spy(Account, 'ensureIndexes');
+
+                seeder.seed(accountData, {syncIndexes: true}).then(function() {
+                    Account.ensureIndexes.should.have.been.calledOnce;
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should not build the indexes if the option is turned off', sinon.test(function(done) {
+                var Account = mongoose.model('Account');
+
+                this.spy(Account, 'ensureIndexes');
+
+                seeder.seed(accountData).then(function() {
+                    Account.ensureIndexes.should.not.have.been.called;
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should create the collection with the options of the schema', sinon.test(function(done) {
+                this.spy(mongoose.connection.db, 'createCollection');
+
+                seeder.seed(accountData, {syncIndexes: true}).then(function() {
+                    mongoose.connection.db.createCollection.should.have.been.calledWith('accounts', {capped: true, size: 8192});
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should create the collection with the time series and collation options of the schema', sinon.test(function(done) {
+                var db = mongoose.connection.db;
+
+                // Time series collections are not supported by every version of MongoDB
+                this.stub(db, 'createCollection').yields();
+
+                seeder.seed({measurements: {_model: 'Measurement', first: {at: '2026-10-19T00:00:00Z', source: 'sensor', value: 1}}}, {syncIndexes: true}).then(function() {
+                    db.createCollection.should.have.been.calledWith('measurements', {
+                        collation: {locale: 'en', strength: 2},
+                        timeseries: {timeField: 'at', metaField: 'source'},
+                        expireAfterSeconds: 86400
+                    });
+
+                    done();
+                }).catch(done);
+            }));
+
+            it('Should name the documents that have the same value for a unique index', function(done) {
+                accountData.accounts.bar.username = 'foo';
+
+                seeder.seed(accountData, {syncIndexes: true}).catch(function(err) {
+                    err.message.should.be.equal('Document \'accounts.bar\' violates the unique index \'username_1\': it has the same value for \'username\' as document \'accounts.foo\'.');
+                    err.documents.should.be.eql(['accounts.foo', 'accounts.bar']);
+                    err.code.should.be.equal(11000);
+
+                    done();
+                });
+            });
+
+            it('Should name the documents that have the same value for a unique index in a batch', function(done) {
+                accountData.accounts.bar.username = 'foo';
+
+                seeder.seed(accountData, {syncIndexes: true, bulk: true}).catch(function(err) {
+                    err.documents.should.be.eql(['accounts.foo', 'accounts.bar']);
+
+                    done();
+                });
+            });
+
+            it('Should report a document that collides with a document in the database', function(done) {
+                seeder.seed(accountData, {syncIndexes: true}).then(function() {
+                    return seeder.seed({accounts: {_model: 'Account', baz: {username: 'foo'}}}, {dropDatabase: false, syncIndexes: true});
+                }).catch(function(err) {
+                    err.message.should.be.equal('Document \'accounts.baz\' violates the unique index \'username_1\': a document with the same value for \'username\' already exists in the database.');
+
+                    done();
+                });
+            });
+
+            it('Should report the collections of which the indexes are built', function(done) {
+                var events = [];
+
+                seeder.seed(accountData, {
+                    syncIndexes: true,
+                    onProgress: function(event) {
+                        if(event.type === 'indexes') {
+                            events.push(event.collection);
+                        }
+                    }
+                }).then(function() {
+                    events.should.be.eql(['accounts']);
+
+                    done();
+                }).catch(done);
+            });
+        });
     });
 });